@@ -0,0 +1,236 @@
+/**
+ * LLM Client
+ *
+ * The one way the IDE talks to a language model: the chat, the composer and
+ * code completion describe a prompt in provider-neutral terms and get the
+ * answer as text. The provider, endpoint, model and timeout come from the
+ * user's settings (see AiSettings.js); each provider adapter in providers/
+ * turns the prompt into its API's request and reads its response.
+ *
+ * An answer is either returned whole (generate) or streamed as it is
+ * written (stream). Failures reject with an Error whose message can be
+ * shown to the user and whose status is the HTTP status (0 when the endpoint
+ * is unreachable, 504 on timeout). Aborting with the caller's signal rejects
+ * with its reason.
+ */
+
+import * as AiSettings from "../settings/AiSettings.js";
+import { createGeminiProvider } from "./providers/GeminiProvider.js";
+import { createOpenAiProvider } from "./providers/OpenAiProvider.js";
+import { createOllamaProvider } from "./providers/OllamaProvider.js";
+
+// Constants
+const MAX_ERROR_DETAIL_LENGTH = 300;
+const SSE_DONE = "[DONE]";     // OpenAI's end of stream
+
+// Provider factories by settings name
+const PROVIDER_FACTORIES = {
+    "gemini": createGeminiProvider,
+    "openai": createOpenAiProvider,
+    "ollama": createOllamaProvider
+};
+
+/**
+ * Creates an error for a failed request
+ * @param {string} message - The message shown to the user
+ * @param {number} status - The HTTP status; 0 if there was no response
+ * @returns {Error} The error
+ */
+function createLlmError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Extracts the error message from a failed response's body
+ * @param {string} text - The response body
+ * @returns {string} The message; the clipped body if it is not a known error format
+ */
+function describeErrorBody(text) {
+    let detail = text;
+    try {
+        const data = JSON.parse(text);
+        detail = data?.error?.message || (typeof data?.error === "string" ? data.error : text);
+    } catch {
+        // Not JSON; show the text itself
+    }
+    detail = detail.trim();
+    return detail.length > MAX_ERROR_DETAIL_LENGTH ? `${detail.slice(0, MAX_ERROR_DETAIL_LENGTH - 1)}…` : detail;
+}
+
+/**
+ * Returns the provider for the current settings
+ * @returns {Object} The provider
+ */
+export function getProvider() {
+    const settings = AiSettings.getAiSettings();
+    return PROVIDER_FACTORIES[settings.provider](settings);
+}
+
+/**
+ * Reads a streamed response event by event
+ * @param {Response} response - The response, with a body of server-sent events or JSON lines
+ * @param {"sse"|"ndjson"} format - The stream format
+ * @param {function(Object): void} onEvent - Called with each parsed event
+ * @returns {Promise<void>} Resolves at the end of the stream; rejects if an event is not JSON
+ */
+async function readEvents(response, format, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let data = [];      // The data lines of the current server-sent event
+    let done = false;
+
+    const dispatch = text => {
+        if (text === SSE_DONE) {
+            done = true;
+        } else if (text.trim()) {
+            onEvent(JSON.parse(text));
+        }
+    };
+    const handleLine = line => {
+        if (format === "ndjson") {
+            dispatch(line);
+        } else if (line === "") {
+            dispatch(data.join("\n"));
+            data = [];
+        } else if (line.startsWith("data:")) {
+            data.push(line.slice(5).replace(/^ /, ""));
+        }
+        // Other fields (event, id, retry) and comments carry nothing we need
+    };
+
+    while (!done) {
+        const chunk = await reader.read();
+        buffer += decoder.decode(chunk.value, { stream: !chunk.done });
+        const lines = buffer.split(/\r?\n/);
+        buffer = chunk.done ? "" : lines.pop();
+        lines.forEach(line => !done && handleLine(line));
+        if (chunk.done) {
+            if (!done) {
+                handleLine("");
+            }
+            break;
+        }
+    }
+    if (done) {
+        reader.cancel().catch(() => {});
+    }
+}
+
+/**
+ * Sends a prompt to the configured model and reads the answer
+ * @param {Object} request - The prompt, see generate()
+ * @param {{signal?: AbortSignal, onText?: function(string): void}} options - Abandons the request; with
+ *        onText the answer is streamed and onText is called with the answer so far
+ * @returns {Promise<string>} The answer, see generate()
+ */
+async function send(request, { signal, onText }) {
+    if (!AiSettings.isAiConfigured()) {
+        throw createLlmError(AiSettings.NOT_CONFIGURED_MESSAGE, 401);
+    }
+
+    const { timeoutSeconds } = AiSettings.getAiSettings();
+    const provider = getProvider();
+    const stream = typeof onText === "function";
+    const { url, headers, body } = provider.buildRequest(request, { stream });
+
+    // The timeout restarts whenever part of a streamed answer arrives, so
+    // long answers are not cut off while the model is still writing
+    const timeout = new AbortController();
+    let timer = null;
+    const restartTimer = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => timeout.abort(), timeoutSeconds * 1000);
+    };
+
+    let response;
+    let answer = null;
+    try {
+        restartTimer();
+        response = await fetch(url, {
+            method: "POST",
+            headers: { ...headers, "Content-Type": "application/json" },
+            body: JSON.stringify(body),
+            signal: signal ? AbortSignal.any([signal, timeout.signal]) : timeout.signal
+        });
+        if (!response.ok) {
+            const detail = describeErrorBody(await response.text());
+            throw createLlmError(`${provider.name} request failed (${response.status})${detail ? `: ${detail}` : ""}`, response.status);
+        }
+
+        if (!stream) {
+            const data = await response.json();
+            answer = provider.parseResponse(data);
+            if (answer === null) {
+                console.warn("Unexpected AI response:", data);
+            }
+        } else {
+            await readEvents(response, provider.streamFormat, data => {
+                restartTimer();
+                if (data?.error) {
+                    throw createLlmError(`${provider.name} stopped answering: ${describeErrorBody(JSON.stringify(data))}`, 502);
+                }
+                const text = provider.parseStreamEvent(data);
+                if (text === null) {
+                    console.warn("Unexpected AI stream event:", data);
+                    return;
+                }
+                answer = (answer ?? "") + text;
+                if (text) {
+                    onText(answer);
+                }
+            });
+        }
+    } catch (error) {
+        if (signal?.aborted) {
+            throw signal.reason;
+        }
+        if (timeout.signal.aborted) {
+            throw createLlmError(`No answer from ${provider.name} after ${timeoutSeconds} seconds`, 504);
+        }
+        if (typeof error.status === "number") {
+            throw error;
+        }
+        if (response) {
+            throw createLlmError(`${provider.name} sent a response that is not JSON`, 502);
+        }
+        throw createLlmError(`${provider.name} is unreachable at ${new URL(url).origin} (${error.message})`, 0);
+    } finally {
+        clearTimeout(timer);
+    }
+
+    if (answer === null) {
+        throw createLlmError(`${provider.name} sent an unexpected response`, 502);
+    }
+    return answer;
+}
+
+/**
+ * Asks the configured model for an answer
+ * @param {Object} request - The prompt
+ * @param {string} [request.system] - Instructions that precede the conversation
+ * @param {Array<{role: "user"|"assistant", content: string}>} request.messages - The conversation, oldest first,
+ *        ending with the user's message
+ * @param {number} [request.temperature] - The sampling temperature
+ * @param {number} [request.maxTokens] - The maximum length of the answer
+ * @param {{signal?: AbortSignal}} [options] - Abandons the request
+ * @returns {Promise<string>} The answer; rejects with an Error with a status, or the signal's reason
+ */
+export function generate(request, { signal } = {}) {
+    return send(request, { signal });
+}
+
+/**
+ * Asks the configured model for an answer and reports it as it is written.
+ * The timeout applies to the wait for each part rather than the whole answer.
+ * @param {Object} request - The prompt, see generate()
+ * @param {{signal?: AbortSignal, onText: function(string): void}} options - Abandons the request,
+ *        and is called with the answer so far whenever it grows
+ * @returns {Promise<string>} The whole answer; rejects like generate(). After an abort the
+ *          answer so far is the last text passed to onText.
+ */
+export function stream(request, { signal, onText }) {
+    return send(request, { signal, onText });
+}
@@ -0,0 +1,81 @@
+/**
+ * Gemini Provider
+ *
+ * LLM provider for Google's Gemini API (generateContent, and
+ * streamGenerateContent as server-sent events). The key is sent as the
+ * "key" query parameter. Gemini has no system role here, so the
+ * system prompt goes first as a user turn, and assistant turns are "model".
+ */
+
+/**
+ * Creates a provider for the Gemini API
+ * @param {{apiKey: string, endpoint: string, model: string}} settings - The AI settings
+ * @returns {Object} The provider
+ */
+export function createGeminiProvider(settings) {
+    const key = settings.apiKey ? `key=${encodeURIComponent(settings.apiKey)}` : "";
+
+    return {
+        name: `Gemini (${settings.model})`,
+        streamFormat: "sse",
+
+        /**
+         * Builds the HTTP request for a prompt
+         * @param {Object} request - The prompt, see LlmClient.generate()
+         * @param {{stream?: boolean}} [options] - Whether to stream the answer
+         * @returns {{url: string, headers: Object, body: Object}} The request
+         */
+        buildRequest(request, { stream = false } = {}) {
+            const turns = request.system ? [{ role: "user", content: request.system }, ...request.messages] : request.messages;
+            const body = {
+                contents: turns.map(message => ({
+                    role: message.role === "assistant" ? "model" : "user",
+                    parts: [{ text: message.content }]
+                }))
+            };
+            const generationConfig = {};
+            if (request.temperature !== undefined) {
+                generationConfig.temperature = request.temperature;
+            }
+            if (request.maxTokens !== undefined) {
+                generationConfig.maxOutputTokens = request.maxTokens;
+            }
+            if (Object.keys(generationConfig).length) {
+                body.generationConfig = generationConfig;
+            }
+            const method = stream ? "streamGenerateContent" : "generateContent";
+            const query = [stream ? "alt=sse" : "", key].filter(Boolean).join("&");
+            return {
+                url: `${settings.endpoint}/models/${encodeURIComponent(settings.model)}:${method}${query ? `?${query}` : ""}`,
+                headers: {},
+                body
+            };
+        },
+
+        /**
+         * Extracts the answer from a response
+         * @param {Object} data - The parsed response
+         * @returns {string|null} The answer, or null if the response has none
+         */
+        parseResponse(data) {
+            const parts = data?.candidates?.[0]?.content?.parts;
+            if (!Array.isArray(parts)) {
+                return null;
+            }
+            return parts.map(part => part.text || "").join("");
+        },
+
+        /**
+         * Extracts the next piece of the answer from a stream event
+         * @param {Object} data - The parsed event, a partial response
+         * @returns {string|null} The new text, or null if the event is not a response
+         */
+        parseStreamEvent(data) {
+            if (!Array.isArray(data?.candidates)) {
+                return null;
+            }
+            // The last event may only carry the finish reason
+            return this.parseResponse(data) ?? "";
+        }
+    };
+}
@@ -0,0 +1,69 @@
+/**
+ * Ollama Provider
+ *
+ * LLM provider for a local Ollama server, or anything that speaks its chat
+ * API (POST <endpoint>/api/chat). No key is needed; one is sent as a Bearer
+ * token if set, for servers behind an authenticating proxy. The browser
+ * origin must be allowed by the server (OLLAMA_ORIGINS). Streamed answers
+ * arrive as one JSON object per line.
+ */
+
+/**
+ * Creates a provider for an Ollama server
+ * @param {{apiKey: string, endpoint: string, model: string}} settings - The AI settings
+ * @returns {Object} The provider
+ */
+export function createOllamaProvider(settings) {
+    const headers = settings.apiKey ? { "Authorization": `Bearer ${settings.apiKey}` } : {};
+
+    return {
+        name: `Ollama (${settings.model})`,
+        streamFormat: "ndjson",
+
+        /**
+         * Builds the HTTP request for a prompt
+         * @param {Object} request - The prompt, see LlmClient.generate()
+         * @param {{stream?: boolean}} [options] - Whether to stream the answer
+         * @returns {{url: string, headers: Object, body: Object}} The request
+         */
+        buildRequest(request, { stream = false } = {}) {
+            const messages = request.system ? [{ role: "system", content: request.system }, ...request.messages] : request.messages;
+            const options = {};
+            if (request.temperature !== undefined) {
+                options.temperature = request.temperature;
+            }
+            if (request.maxTokens !== undefined) {
+                options.num_predict = request.maxTokens;
+            }
+            return {
+                url: `${settings.endpoint}/api/chat`,
+                headers,
+                body: {
+                    model: settings.model,
+                    messages: messages.map(message => ({ role: message.role, content: message.content })),
+                    stream,
+                    options
+                }
+            };
+        },
+
+        /**
+         * Extracts the answer from a response
+         * @param {Object} data - The parsed response
+         * @returns {string|null} The answer, or null if the response has none
+         */
+        parseResponse(data) {
+            const content = data?.message?.content;
+            return typeof content === "string" ? content : null;
+        },
+
+        /**
+         * Extracts the next piece of the answer from a stream event
+         * @param {Object} data - The parsed line, a partial response
+         * @returns {string|null} The new text, or null if the line is not a response
+         */
+        parseStreamEvent(data) {
+            return this.parseResponse(data);
+        }
+    };
+}
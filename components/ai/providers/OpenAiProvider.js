@@ -0,0 +1,70 @@
+/**
+ * OpenAI-Compatible Provider
+ *
+ * LLM provider for any server that implements OpenAI's chat completions API
+ * (POST <endpoint>/chat/completions): OpenAI itself, most hosted models and
+ * in-house gateways. The key, if any, is sent as a Bearer token. Streamed
+ * answers arrive as server-sent events, ending with "[DONE]".
+ */
+
+/**
+ * Creates a provider for an OpenAI-compatible API
+ * @param {{apiKey: string, endpoint: string, model: string}} settings - The AI settings
+ * @returns {Object} The provider
+ */
+export function createOpenAiProvider(settings) {
+    const headers = settings.apiKey ? { "Authorization": `Bearer ${settings.apiKey}` } : {};
+
+    return {
+        name: `OpenAI-compatible (${settings.model})`,
+        streamFormat: "sse",
+
+        /**
+         * Builds the HTTP request for a prompt
+         * @param {Object} request - The prompt, see LlmClient.generate()
+         * @param {{stream?: boolean}} [options] - Whether to stream the answer
+         * @returns {{url: string, headers: Object, body: Object}} The request
+         */
+        buildRequest(request, { stream = false } = {}) {
+            const messages = request.system ? [{ role: "system", content: request.system }, ...request.messages] : request.messages;
+            const body = {
+                model: settings.model,
+                messages: messages.map(message => ({ role: message.role, content: message.content }))
+            };
+            if (request.temperature !== undefined) {
+                body.temperature = request.temperature;
+            }
+            if (request.maxTokens !== undefined) {
+                body.max_tokens = request.maxTokens;
+            }
+            if (stream) {
+                body.stream = true;
+            }
+            return { url: `${settings.endpoint}/chat/completions`, headers, body };
+        },
+
+        /**
+         * Extracts the answer from a response
+         * @param {Object} data - The parsed response
+         * @returns {string|null} The answer, or null if the response has none
+         */
+        parseResponse(data) {
+            const content = data?.choices?.[0]?.message?.content;
+            return typeof content === "string" ? content : null;
+        },
+
+        /**
+         * Extracts the next piece of the answer from a stream event
+         * @param {Object} data - The parsed event, a completion chunk
+         * @returns {string|null} The new text, or null if the event is not a chunk
+         */
+        parseStreamEvent(data) {
+            if (!Array.isArray(data?.choices)) {
+                return null;
+            }
+            // The first chunk carries the role and the last the finish reason
+            const content = data.choices[0]?.delta?.content;
+            return typeof content === "string" ? content : "";
+        }
+    };
+}
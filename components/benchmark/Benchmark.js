@@ -0,0 +1,162 @@
+/**
+ * Benchmark Component
+ *
+ * Summarizes repeated runs of the same solution (a single Judge0 time is
+ * noisy) and keeps the results in IndexedDB, so two approaches to the same
+ * problem can be compared later. Each problem keeps at most
+ * MAX_BENCHMARKS_PER_PROBLEM benchmarks.
+ */
+
+import db from "../../core/storage/AppDatabase.js";
+
+// Constants
+const STORE = "benchmarks";
+const MAX_BENCHMARKS_PER_PROBLEM = 50;
+
+export const DEFAULT_RUNS = 5;
+export const MIN_RUNS = 2;
+export const MAX_RUNS = 20;     // Judge0's default batch size limit
+
+/**
+ * Clamps a requested number of runs to the supported range
+ * @param {number|string} value - The requested number of runs
+ * @returns {number} The number of runs
+ */
+export function clampRuns(value) {
+    const runs = Math.round(Number(value));
+    if (!Number.isFinite(runs)) {
+        return DEFAULT_RUNS;
+    }
+    return Math.min(MAX_RUNS, Math.max(MIN_RUNS, runs));
+}
+
+/**
+ * Computes the minimum, median and maximum of a list of numbers
+ * @param {Array<number>} values - The values
+ * @returns {{min: number, median: number, max: number}|null} The statistics, or null without values
+ */
+export function summarize(values) {
+    if (values.length === 0) {
+        return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    return { min: sorted[0], median, max: sorted[sorted.length - 1] };
+}
+
+/**
+ * Builds a benchmark from Judge0 results. Only accepted runs count
+ * towards the statistics.
+ * @param {Array<Object>} results - The Judge0 results, one per run
+ * @returns {{runs: Array<{status: string, accepted: boolean, time: number|null, memory: number|null}>,
+ *          stats: {time: Object|null, memory: Object|null}}} The runs and their statistics
+ */
+export function analyze(results) {
+    const runs = results.map(result => ({
+        status: result.status.description,
+        accepted: result.status.id === 3 && !result.compile_output,
+        time: result.time === null ? null : parseFloat(result.time),
+        memory: result.memory === null ? null : Number(result.memory)
+    }));
+    const accepted = runs.filter(run => run.accepted);
+    return {
+        runs,
+        stats: {
+            time: summarize(accepted.map(run => run.time).filter(time => time !== null)),
+            memory: summarize(accepted.map(run => run.memory).filter(memory => memory !== null))
+        }
+    };
+}
+
+/**
+ * Formats a benchmark as a plain text report
+ * @param {Object} benchmark - The benchmark
+ * @returns {string} The report
+ */
+export function formatReport(benchmark) {
+    const formatTime = time => time === null ? "-" : `${time.toFixed(3)}s`;
+    const formatMemory = memory => memory === null ? "-" : `${Math.round(memory)}KB`;
+    const formatTable = table => {
+        const widths = table[0].map((_, column) => Math.max(...table.map(cells => cells[column].length)));
+        const lines = table.map(cells => cells.map((cell, column) => cell.padEnd(widths[column])).join("  ").trimEnd());
+        lines.splice(1, 0, widths.map(width => "-".repeat(width)).join("  "));
+        return lines.join("\n");
+    };
+
+    const { time, memory } = benchmark.stats;
+    const accepted = benchmark.runs.filter(run => run.accepted).length;
+    const stats = formatTable([
+        ["", "Min", "Median", "Max"],
+        ["Time", ...["min", "median", "max"].map(key => formatTime(time ? time[key] : null))],
+        ["Memory", ...["min", "median", "max"].map(key => formatMemory(memory ? memory[key] : null))]
+    ]);
+    const runs = formatTable([
+        ["Run", "Status", "Time", "Memory"],
+        ...benchmark.runs.map((run, i) => [String(i + 1), run.status, formatTime(run.time), formatMemory(run.memory)])
+    ]);
+
+    return `Benchmark "${benchmark.label}": ${accepted} of ${benchmark.runs.length} runs accepted\n\n${stats}\n\n${runs}`;
+}
+
+/**
+ * Saves a benchmark
+ * @param {Object} benchmark - The benchmark
+ * @param {number} benchmark.problemId - The problem ID
+ * @param {string} benchmark.label - The name shown when comparing
+ * @param {{flavor: string, language_id: number, name: string}} benchmark.language - The language
+ * @param {string} benchmark.source - The benchmarked code
+ * @param {Array<{name: string, content: string}>} [benchmark.files] - The helper files shipped with the code
+ * @param {string} benchmark.stdin - The program input
+ * @param {Array<Object>} benchmark.runs - The runs, see analyze()
+ * @param {{time: Object|null, memory: Object|null}} benchmark.stats - The statistics, see analyze()
+ * @returns {Promise<Object|null>} The stored benchmark with its id and timestamp, or null if it could not be stored
+ */
+export async function saveBenchmark(benchmark) {
+    const record = { ...benchmark, createdAt: Date.now() };
+    try {
+        record.id = await db.add(STORE, record);
+        await prune(benchmark.problemId);
+    } catch (error) {
+        console.error("Failed to save benchmark:", error);
+        return null;
+    }
+    return record;
+}
+
+/**
+ * Deletes the oldest benchmarks of a problem beyond the limit
+ * @param {number} problemId - The problem ID
+ */
+async function prune(problemId) {
+    const benchmarks = await db.getAllByIndex(STORE, "problemId", problemId);
+    const excess = benchmarks.slice(0, Math.max(0, benchmarks.length - MAX_BENCHMARKS_PER_PROBLEM));
+    await Promise.all(excess.map(benchmark => db.delete(STORE, benchmark.id)));
+}
+
+/**
+ * Renames a benchmark
+ * @param {Object} benchmark - The stored benchmark
+ * @param {string} label - The new name
+ * @returns {Promise<Object>} The updated benchmark
+ */
+export async function renameBenchmark(benchmark, label) {
+    const record = { ...benchmark, label };
+    await db.put(STORE, record);
+    return record;
+}
+
+/**
+ * Returns the benchmarks of a problem
+ * @param {number} problemId - The problem ID
+ * @returns {Promise<Array<Object>>} The benchmarks, newest first
+ */
+export async function getBenchmarks(problemId) {
+    try {
+        const benchmarks = await db.getAllByIndex(STORE, "problemId", problemId);
+        return benchmarks.reverse();
+    } catch (error) {
+        console.error("Failed to load benchmarks:", error);
+        return [];
+    }
+}
@@ -0,0 +1,282 @@
+/**
+ * Benchmark Chart Component
+ *
+ * Draws the run times of a benchmark as a small bar chart over the output
+ * panel, optionally next to a saved benchmark of the same problem so two
+ * approaches can be compared. The benchmark can be renamed in place.
+ */
+
+import * as Benchmark from "./Benchmark.js";
+
+// Add styles
+const styles = document.createElement('style');
+styles.textContent = `
+    .benchmark-chart {
+        position: absolute;
+        right: 10px;
+        bottom: 10px;
+        width: 340px;
+        padding: 8px 10px;
+        border-radius: 4px;
+        background: #2d2d2d;
+        border: 1px solid #3c3c3c;
+        color: #d4d4d4;
+        font-family: 'JetBrains Mono', monospace;
+        font-size: 11px;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4);
+        z-index: 1000;
+    }
+
+    .benchmark-chart-header {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        margin-bottom: 6px;
+    }
+
+    .benchmark-chart input,
+    .benchmark-chart select {
+        flex: 1;
+        min-width: 0;
+        padding: 2px 4px;
+        border: 1px solid #555;
+        border-radius: 3px;
+        background: #1e1e1e;
+        color: #d4d4d4;
+        font-family: inherit;
+        font-size: 11px;
+    }
+
+    .benchmark-chart-close {
+        cursor: pointer;
+        color: #9d9d9d;
+    }
+
+    .benchmark-chart-close:hover {
+        color: #d4d4d4;
+    }
+
+    .benchmark-chart svg {
+        display: block;
+        width: 100%;
+        height: 110px;
+    }
+
+    .benchmark-chart svg text {
+        fill: #9d9d9d;
+        font-size: 9px;
+    }
+
+    .benchmark-chart-legend {
+        margin-top: 4px;
+    }
+
+    .benchmark-chart-legend .swatch {
+        display: inline-block;
+        width: 8px;
+        height: 8px;
+        margin-right: 4px;
+    }
+
+    .benchmark-chart-ratio {
+        margin-top: 4px;
+        color: #9d9d9d;
+    }
+`;
+document.head.appendChild(styles);
+
+// Constants
+const SVG_NS = "http://www.w3.org/2000/svg";
+const CHART = { width: 320, height: 110, left: 42, top: 6, bottom: 14, gap: 12 };
+const COLORS = ["#C49A6C", "#4F8FBF"];
+const FAILED_COLOR = "#f44336";
+
+/**
+ * Creates an SVG element
+ * @param {string} name - The element name
+ * @param {Object} attributes - The attributes
+ * @returns {SVGElement} The element
+ */
+function svgElement(name, attributes) {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    return element;
+}
+
+/**
+ * Draws the run times of one or two benchmarks, each as a group of bars
+ * with a dashed line at its median. Failed runs are marked in red.
+ * @param {Array<Object>} series - The benchmarks
+ * @returns {SVGSVGElement} The chart
+ */
+function drawChart(series) {
+    const svg = svgElement("svg", { viewBox: `0 0 ${CHART.width} ${CHART.height}`, preserveAspectRatio: "none" });
+    const plotWidth = CHART.width - CHART.left;
+    const plotHeight = CHART.height - CHART.top - CHART.bottom;
+    const maxTime = Math.max(...series.flatMap(benchmark => benchmark.runs.map(run => run.time || 0)), 0.001);
+    const y = time => CHART.top + plotHeight * (1 - time / maxTime);
+
+    svg.append(
+        svgElement("line", { x1: CHART.left, y1: y(0), x2: CHART.width, y2: y(0), stroke: "#555" }),
+        Object.assign(svgElement("text", { x: CHART.left - 4, y: CHART.top + 8, "text-anchor": "end" }),
+            { textContent: `${maxTime.toFixed(3)}s` }),
+        Object.assign(svgElement("text", { x: CHART.left - 4, y: y(0), "text-anchor": "end" }),
+            { textContent: "0s" })
+    );
+
+    const groupWidth = (plotWidth - CHART.gap * (series.length - 1)) / series.length;
+    series.forEach((benchmark, index) => {
+        const x0 = CHART.left + index * (groupWidth + CHART.gap);
+        const slot = groupWidth / benchmark.runs.length;
+        benchmark.runs.forEach((run, i) => {
+            const height = Math.max(y(0) - y(run.time || 0), 1);
+            const bar = svgElement("rect", {
+                x: x0 + i * slot + slot * 0.15,
+                y: y(0) - height,
+                width: slot * 0.7,
+                height,
+                fill: run.accepted ? COLORS[index] : FAILED_COLOR
+            });
+            bar.appendChild(Object.assign(svgElement("title", {}), {
+                textContent: `Run ${i + 1}: ${run.status}, ${run.time === null ? "-" : `${run.time}s`}`
+            }));
+            svg.appendChild(bar);
+        });
+
+        const median = benchmark.stats.time?.median;
+        if (median !== undefined) {
+            svg.appendChild(svgElement("line", {
+                x1: x0, y1: y(median), x2: x0 + groupWidth, y2: y(median),
+                stroke: "#d4d4d4", "stroke-dasharray": "3 2"
+            }));
+        }
+        svg.appendChild(Object.assign(svgElement("text", { x: x0, y: CHART.height - 2 }), {
+            textContent: benchmark.label.length > 28 ? `${benchmark.label.slice(0, 27)}…` : benchmark.label
+        }));
+    });
+
+    return svg;
+}
+
+/**
+ * Describes a benchmark's statistics in one line
+ * @param {Object} benchmark - The benchmark
+ * @returns {string} The description
+ */
+function describeStats(benchmark) {
+    const { time, memory } = benchmark.stats;
+    const parts = [time
+        ? `median ${time.median.toFixed(3)}s (${time.min.toFixed(3)}–${time.max.toFixed(3)})`
+        : "no accepted runs"];
+    if (memory) {
+        parts.push(`${Math.round(memory.median)}KB`);
+    }
+    return parts.join(" · ");
+}
+
+/**
+ * Compares the median times of two benchmarks
+ * @param {Object} current - The new benchmark
+ * @param {Object} other - The benchmark it is compared with
+ * @returns {string} The comparison, or an empty string if either has no time
+ */
+function describeRatio(current, other) {
+    const a = current.stats.time?.median;
+    const b = other.stats.time?.median;
+    if (!a || !b) {
+        return "";
+    }
+    const ratio = a < b ? b / a : a / b;
+    return `${ratio.toFixed(2)}× ${a < b ? "faster" : "slower"} than "${other.label}" (median time)`;
+}
+
+/**
+ * Shows the chart of a benchmark
+ * @param {HTMLElement} editorElement - The output editor element to attach the chart to
+ * @param {Object} benchmark - The stored benchmark
+ * @param {Array<Object>} saved - The other saved benchmarks of the problem, newest first
+ */
+export function show(editorElement, benchmark, saved) {
+    if (!editorElement) {
+        console.error('Editor element is required to show a benchmark');
+        return;
+    }
+
+    remove();
+
+    const panel = document.createElement("div");
+    panel.className = "benchmark-chart";
+    panel.innerHTML = `
+        <div class="benchmark-chart-header">
+            <input class="benchmark-chart-label" title="Name this approach">
+            <span class="benchmark-chart-close" title="Close">✕</span>
+        </div>
+        <div class="benchmark-chart-header">
+            <select class="benchmark-chart-compare" title="Compare with a saved benchmark"></select>
+        </div>
+        <div class="benchmark-chart-plot"></div>
+        <div class="benchmark-chart-legend"></div>
+        <div class="benchmark-chart-ratio"></div>
+    `;
+
+    const labelInput = panel.querySelector(".benchmark-chart-label");
+    const compareSelect = panel.querySelector(".benchmark-chart-compare");
+    let current = benchmark;
+
+    compareSelect.append(new Option("Compare with…", ""));
+    saved.forEach(other => compareSelect.append(new Option(`${other.label} · ${describeStats(other)}`, other.id)));
+    compareSelect.disabled = saved.length === 0;
+    if (saved.length) {
+        compareSelect.value = saved[0].id;
+    }
+
+    const render = () => {
+        const other = saved.find(item => String(item.id) === compareSelect.value);
+        const series = other ? [current, other] : [current];
+
+        panel.querySelector(".benchmark-chart-plot").replaceChildren(drawChart(series));
+
+        const legend = panel.querySelector(".benchmark-chart-legend");
+        legend.replaceChildren(...series.map((item, index) => {
+            const line = document.createElement("div");
+            const swatch = document.createElement("span");
+            swatch.className = "swatch";
+            swatch.style.background = COLORS[index];
+            line.append(swatch, `${item.label}: ${describeStats(item)}`);
+            return line;
+        }));
+        panel.querySelector(".benchmark-chart-ratio").textContent = other ? describeRatio(current, other) : "";
+    };
+
+    labelInput.value = benchmark.label;
+    labelInput.addEventListener("change", async () => {
+        const label = labelInput.value.trim();
+        if (!label || label === current.label) {
+            labelInput.value = current.label;
+            return;
+        }
+        try {
+            current = await Benchmark.renameBenchmark(current, label);
+        } catch (error) {
+            console.error("Failed to rename benchmark:", error);
+            current = { ...current, label };
+        }
+        render();
+    });
+    compareSelect.addEventListener("change", render);
+    panel.querySelector(".benchmark-chart-close").addEventListener("click", remove);
+
+    render();
+    editorElement.style.position = 'relative';
+    editorElement.appendChild(panel);
+}
+
+/**
+ * Removes the benchmark chart if it exists
+ */
+export function remove() {
+    const panel = document.querySelector('.benchmark-chart');
+    if (panel) {
+        panel.remove();
+    }
+}
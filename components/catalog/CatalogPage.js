@@ -0,0 +1,201 @@
+/**
+ * Catalog Page Component
+ *
+ * Entry point for index.html. Renders the problem list from the problem
+ * catalog with sorting, pagination and solved/unsolved markers. The current
+ * view is kept in the URL (?page=2&sort=title&order=desc) so it survives
+ * navigating to a problem and back.
+ */
+
+import query from "../../core/utils/QueryParams.js";
+import * as ProblemCatalog from "./ProblemCatalog.js";
+
+// Constants
+const PAGER_WINDOW = 2;     // Page buttons shown on each side of the current page
+
+// State variables
+let entries = [];
+let view = {
+    page: 1,
+    sort: "id",
+    order: "asc"
+};
+
+/**
+ * Reads the initial view from the URL query parameters
+ */
+function readViewFromUrl() {
+    view = {
+        page: parseInt(query.get("page")) || 1,
+        sort: ProblemCatalog.SORT_FIELDS.includes(query.get("sort")) ? query.get("sort") : "id",
+        order: query.get("order") === "desc" ? "desc" : "asc"
+    };
+}
+
+/**
+ * Writes the current view back to the URL without reloading the page
+ */
+function writeViewToUrl() {
+    const params = new URLSearchParams(window.location.search);
+    params.set("page", view.page);
+    params.set("sort", view.sort);
+    params.set("order", view.order);
+    history.replaceState(null, "", `${window.location.pathname}?${params}`);
+}
+
+/**
+ * Creates the list item for a single problem
+ * @param {Object} entry - The catalog entry
+ * @param {boolean} solved - Whether the problem is solved
+ * @returns {HTMLLIElement} The list item
+ */
+function createProblemItem(entry, solved) {
+    const item = document.createElement("li");
+    item.className = `problem-item${solved ? " solved" : ""}`;
+
+    const link = document.createElement("a");
+    link.className = "problem-link";
+    link.href = `editor.html?problem=${entry.id}`;
+
+    const number = document.createElement("span");
+    number.className = "problem-number";
+    number.textContent = `#${entry.id}`;
+
+    const title = document.createElement("span");
+    title.className = "problem-title";
+    title.textContent = entry.title;
+
+    const status = document.createElement("span");
+    status.className = "problem-status";
+    status.title = solved ? "Solved" : "Unsolved";
+    status.innerHTML = solved ? `<i class="fas fa-check-circle"></i>` : `<i class="far fa-circle"></i>`;
+
+    link.append(number, title);
+    if (entry.track === "sql") {
+        const track = document.createElement("span");
+        track.className = "problem-track";
+        track.textContent = "SQL";
+        track.title = "Answered with a query against the Chinook database";
+        link.appendChild(track);
+    }
+    link.appendChild(status);
+    item.appendChild(link);
+    return item;
+}
+
+/**
+ * Renders the pagination controls: first, previous, the pages around the
+ * current one, next and last
+ * @param {HTMLElement} container - The pager container
+ * @param {{page: number, pageCount: number, total: number}} pageInfo - The current page
+ */
+function renderPager(container, pageInfo) {
+    container.innerHTML = "";
+    if (pageInfo.pageCount <= 1) {
+        return;
+    }
+
+    const addButton = (label, page, disabled, active = false) => {
+        const button = document.createElement("button");
+        button.className = `pager-button${active ? " active" : ""}`;
+        button.textContent = label;
+        button.disabled = disabled;
+        button.addEventListener("click", () => {
+            view.page = page;
+            render();
+        });
+        container.appendChild(button);
+    };
+
+    const addEllipsis = () => {
+        const ellipsis = document.createElement("span");
+        ellipsis.className = "pager-ellipsis";
+        ellipsis.textContent = "…";
+        container.appendChild(ellipsis);
+    };
+
+    // Keep the window the same width near the first and last pages
+    const width = Math.min(2 * PAGER_WINDOW + 1, pageInfo.pageCount);
+    const first = Math.min(Math.max(1, pageInfo.page - PAGER_WINDOW), pageInfo.pageCount - width + 1);
+    const last = first + width - 1;
+
+    addButton("« First", 1, pageInfo.page === 1);
+    addButton("‹ Prev", pageInfo.page - 1, pageInfo.page === 1);
+    if (first > 1) {
+        addEllipsis();
+    }
+    for (let page = first; page <= last; page++) {
+        addButton(String(page), page, false, page === pageInfo.page);
+    }
+    if (last < pageInfo.pageCount) {
+        addEllipsis();
+    }
+    addButton("Next ›", pageInfo.page + 1, pageInfo.page === pageInfo.pageCount);
+    addButton("Last »", pageInfo.pageCount, pageInfo.page === pageInfo.pageCount);
+}
+
+/**
+ * Renders the problem list for the current view
+ */
+function render() {
+    const list = document.getElementById("problems-list");
+    const pager = document.getElementById("problems-pager");
+    const summary = document.getElementById("problems-summary");
+
+    const solved = ProblemCatalog.getSolvedIds();
+    const sorted = ProblemCatalog.sortEntries(entries, view.sort, view.order);
+    const pageInfo = ProblemCatalog.paginate(sorted, view.page);
+    view.page = pageInfo.page;
+
+    list.innerHTML = "";
+    pageInfo.items.forEach(entry => list.appendChild(createProblemItem(entry, solved.has(entry.id))));
+
+    const solvedCount = entries.filter(entry => solved.has(entry.id)).length;
+    summary.textContent = `${solvedCount} of ${pageInfo.total} solved`;
+
+    renderPager(pager, pageInfo);
+    writeViewToUrl();
+}
+
+/**
+ * Wires up the sort controls
+ */
+function setupControls() {
+    const sortSelect = document.getElementById("problems-sort");
+    const orderButton = document.getElementById("problems-order");
+
+    sortSelect.value = view.sort;
+    orderButton.textContent = view.order === "asc" ? "↑" : "↓";
+
+    sortSelect.addEventListener("change", () => {
+        view.sort = sortSelect.value;
+        view.page = 1;
+        render();
+    });
+
+    orderButton.addEventListener("click", () => {
+        view.order = view.order === "asc" ? "desc" : "asc";
+        orderButton.textContent = view.order === "asc" ? "↑" : "↓";
+        render();
+    });
+}
+
+/**
+ * Initializes the catalog page
+ */
+export async function initialize() {
+    readViewFromUrl();
+    setupControls();
+
+    try {
+        entries = await ProblemCatalog.loadCatalog();
+        render();
+    } catch (error) {
+        console.error("Failed to load problem catalog:", error);
+        document.getElementById("problems-list").innerHTML = `
+            <li class="problem-item problem-error">Unable to load the problem list. Please try refreshing the page.</li>
+        `;
+    }
+}
+
+document.addEventListener("DOMContentLoaded", () => initialize());
@@ -0,0 +1,134 @@
+/**
+ * Problem Catalog Component
+ *
+ * Loads the problem manifest (data/problems/catalog.json) and provides
+ * sorting, pagination and solved-state tracking for the problem list.
+ * The catalog is the single place where problems are registered: both the
+ * index page and the editor resolve problem files through it.
+ */
+
+import ls from "../../core/storage/LocalStorage.js";
+
+// Constants
+const CATALOG_URL = "/data/problems/catalog.json";
+const PROBLEMS_BASE_URL = "/data/problems/";
+const SOLVED_STORAGE_KEY = "EULER_SOLVED_PROBLEMS";
+
+export const DEFAULT_PAGE_SIZE = 10;
+export const SORT_FIELDS = ["id", "title", "solved"];
+
+// State variables
+let catalogPromise = null;
+
+/**
+ * Loads the catalog manifest (cached after the first call)
+ * @returns {Promise<Array<{id: number, title: string, file: string, track: string}>>} The catalog entries
+ */
+export function loadCatalog() {
+    if (!catalogPromise) {
+        catalogPromise = fetch(CATALOG_URL)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Problem catalog not found (HTTP ${response.status})`);
+                }
+                return response.json();
+            })
+            .then(catalog => (catalog.problems || []).map(entry => ({
+                id: Number(entry.id),
+                title: entry.title,
+                file: entry.file || `problem${entry.id}.json`,
+                track: entry.track || "euler"
+            })))
+            .catch(error => {
+                catalogPromise = null;  // Allow a retry on the next call
+                throw error;
+            });
+    }
+    return catalogPromise;
+}
+
+/**
+ * Finds the catalog entry for a problem
+ * @param {number|string} problemId - The problem ID
+ * @returns {Promise<Object|null>} The catalog entry, or null if the problem is not registered
+ */
+export async function findEntry(problemId) {
+    const entries = await loadCatalog();
+    return entries.find(entry => entry.id === Number(problemId)) || null;
+}
+
+/**
+ * Returns the URL of a problem's JSON file
+ * @param {Object} entry - The catalog entry
+ * @returns {string} The problem file URL
+ */
+export function getProblemUrl(entry) {
+    return `${PROBLEMS_BASE_URL}${entry.file}`;
+}
+
+/**
+ * Returns the IDs of all problems the user has solved
+ * @returns {Set<number>} The solved problem IDs
+ */
+export function getSolvedIds() {
+    const ids = ls.get(SOLVED_STORAGE_KEY);
+    return new Set(Array.isArray(ids) ? ids.map(Number) : []);
+}
+
+/**
+ * Checks whether a problem has been solved
+ * @param {number|string} problemId - The problem ID
+ * @returns {boolean} True if the problem is marked as solved
+ */
+export function isSolved(problemId) {
+    return getSolvedIds().has(Number(problemId));
+}
+
+/**
+ * Marks a problem as solved
+ * @param {number|string} problemId - The problem ID
+ */
+export function markSolved(problemId) {
+    const ids = getSolvedIds();
+    ids.add(Number(problemId));
+    ls.set(SOLVED_STORAGE_KEY, [...ids].sort((a, b) => a - b));
+}
+
+/**
+ * Sorts catalog entries
+ * @param {Array<Object>} entries - The catalog entries
+ * @param {string} field - One of SORT_FIELDS
+ * @param {"asc"|"desc"} order - The sort order
+ * @returns {Array<Object>} A new, sorted array
+ */
+export function sortEntries(entries, field = "id", order = "asc") {
+    const solved = getSolvedIds();
+    const direction = order === "desc" ? -1 : 1;
+    const compare = {
+        id: (a, b) => a.id - b.id,
+        title: (a, b) => a.title.localeCompare(b.title) || a.id - b.id,
+        solved: (a, b) => (solved.has(b.id) - solved.has(a.id)) || a.id - b.id
+    }[SORT_FIELDS.includes(field) ? field : "id"];
+
+    return [...entries].sort((a, b) => direction * compare(a, b));
+}
+
+/**
+ * Returns one page of catalog entries
+ * @param {Array<Object>} entries - The (sorted) catalog entries
+ * @param {number} page - The 1-based page number; clamped to the valid range
+ * @param {number} pageSize - Entries per page
+ * @returns {{items: Array<Object>, page: number, pageCount: number, total: number}} The page
+ */
+export function paginate(entries, page = 1, pageSize = DEFAULT_PAGE_SIZE) {
+    const pageCount = Math.max(1, Math.ceil(entries.length / pageSize));
+    const current = Math.min(Math.max(1, parseInt(page) || 1), pageCount);
+    const start = (current - 1) * pageSize;
+
+    return {
+        items: entries.slice(start, start + pageSize),
+        page: current,
+        pageCount,
+        total: entries.length
+    };
+}
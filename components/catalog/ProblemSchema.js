@@ -0,0 +1,317 @@
+/**
+ * Problem Schema Component
+ *
+ * Defines the format of problem files (data/problems/problemN.json),
+ * validates loaded problems against it and migrates files written for
+ * older schema versions to the current one.
+ *
+ * Version history:
+ * - 0: Unversioned legacy files ({id, title, description, answer}, numeric answer)
+ * - 1: Adds schemaVersion; answer is a string so large answers keep full precision
+ * - 2: Replaces the plaintext answer with a salted SHA-256 answerHash
+ */
+
+import { HASH_ALGORITHM, createAnswerHash } from "../../core/crypto/AnswerHash.js";
+import { ANSWER_TYPES, canonicalizeAnswer } from "../../core/answers/AnswerFormat.js";
+import { EXTRACTION_MODES } from "../compiler/AnswerExtractor.js";
+
+export const SCHEMA_VERSION = 2;
+
+// Problem tracks: "euler" problems print a number, "sql" problems are queries against data/db.sqlite
+export const TRACKS = ["euler", "sql"];
+
+/**
+ * Checks whether a value is a hex string, optionally of a fixed length
+ * @param {*} value - The value to check
+ * @param {number} [length] - The required length
+ * @returns {boolean} True if the value is a hex string
+ */
+function isHex(value, length) {
+    return typeof value === "string" && /^[0-9a-f]+$/i.test(value) && (!length || value.length === length);
+}
+
+/**
+ * Field definitions for the current schema version.
+ * Each field declares whether it is required, a human-readable type name
+ * used in error messages, and a check that returns true for valid values.
+ * Object fields may declare nested `fields`, which are validated in turn;
+ * array fields may declare `items`, a definition every element must match.
+ */
+const FIELDS = {
+    schemaVersion: {
+        required: true,
+        type: "an integer",
+        check: value => Number.isInteger(value)
+    },
+    id: {
+        required: true,
+        type: "a positive integer",
+        check: value => Number.isInteger(value) && value > 0
+    },
+    title: {
+        required: true,
+        type: "a non-empty string",
+        check: value => typeof value === "string" && value.trim() !== ""
+    },
+    description: {
+        required: true,
+        type: "a non-empty string",
+        check: value => typeof value === "string" && value.trim() !== ""
+    },
+    answerType: {
+        required: false,
+        type: `one of ${ANSWER_TYPES.map(type => `"${type}"`).join(", ")}`,
+        check: value => ANSWER_TYPES.includes(value)
+    },
+    track: {
+        required: false,
+        type: `one of ${TRACKS.map(track => `"${track}"`).join(", ")}`,
+        check: value => TRACKS.includes(value)
+    },
+    ordered: {
+        required: false,
+        type: "a boolean",
+        check: value => typeof value === "boolean"
+    },
+    precision: {
+        required: false,
+        type: "a non-negative integer",
+        check: value => Number.isInteger(value) && value >= 0
+    },
+    extraction: {
+        required: false,
+        type: "an object",
+        check: value => value !== null && typeof value === "object" && !Array.isArray(value),
+        fields: {
+            mode: {
+                required: true,
+                type: `one of ${EXTRACTION_MODES.map(mode => `"${mode}"`).join(", ")}`,
+                check: value => EXTRACTION_MODES.includes(value)
+            },
+            marker: {
+                required: false,
+                type: "a non-empty string",
+                check: value => typeof value === "string" && value.trim() !== ""
+            },
+            key: {
+                required: false,
+                type: "a non-empty string",
+                check: value => typeof value === "string" && value !== ""
+            }
+        }
+    },
+    limits: {
+        required: false,
+        type: "an object",
+        check: value => value !== null && typeof value === "object" && !Array.isArray(value),
+        fields: {
+            time: {
+                required: false,
+                type: "a positive number of seconds",
+                check: value => typeof value === "number" && value > 0
+            },
+            memory: {
+                required: false,
+                type: "a positive integer of KB",
+                check: value => Number.isInteger(value) && value > 0
+            }
+        }
+    },
+    tests: {
+        required: false,
+        type: "an array",
+        check: value => Array.isArray(value),
+        items: {
+            type: "an object",
+            check: value => value !== null && typeof value === "object" && !Array.isArray(value),
+            fields: {
+                name: {
+                    required: false,
+                    type: "a string",
+                    check: value => typeof value === "string"
+                },
+                stdin: {
+                    required: true,
+                    type: "a string",
+                    check: value => typeof value === "string"
+                },
+                expectedOutput: {
+                    required: true,
+                    type: "a non-empty string",
+                    check: value => typeof value === "string" && value.trim() !== ""
+                }
+            }
+        }
+    },
+    answerHash: {
+        required: true,
+        type: "an object",
+        check: value => value !== null && typeof value === "object" && !Array.isArray(value),
+        fields: {
+            algorithm: {
+                required: true,
+                type: `"${HASH_ALGORITHM}"`,
+                check: value => value === HASH_ALGORITHM
+            },
+            salt: {
+                required: true,
+                type: "a hex string",
+                check: value => isHex(value)
+            },
+            digest: {
+                required: true,
+                type: "a 64-digit hex string",
+                check: value => isHex(value, 64)
+            }
+        }
+    }
+};
+
+/**
+ * Migrations keyed by the version they upgrade from.
+ * Each migration receives a problem of version N and returns (a promise of) version N + 1.
+ */
+const MIGRATIONS = {
+    0: problem => ({
+        ...problem,
+        schemaVersion: 1,
+        answer: problem.answer == null ? problem.answer : String(problem.answer)
+    }),
+    1: async ({ answer, ...problem }) => {
+        const knownType = problem.answerType === undefined || ANSWER_TYPES.includes(problem.answerType);
+        const canonical = typeof answer === "string" && knownType ? canonicalizeAnswer(answer, problem) : null;
+        return {
+            ...problem,
+            schemaVersion: 2,
+            answerHash: canonical === null ? undefined : await createAnswerHash(canonical)
+        };
+    }
+};
+
+/**
+ * Describes the type of a value for error messages
+ * @param {*} value - The value to describe
+ * @returns {string} The type description
+ */
+function describeType(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (typeof value === "number" && Number.isInteger(value)) return `integer ${value}`;
+    if (typeof value === "string" && value.trim() === "") return "empty string";
+    if (typeof value === "string") return JSON.stringify(value.length > 24 ? `${value.slice(0, 24)}…` : value);
+    return typeof value;
+}
+
+/**
+ * Validates a single value against its field definition
+ * @param {*} value - The value to validate
+ * @param {Object} definition - The field definition
+ * @param {string} field - The path of the value, used in reported errors
+ * @returns {Array<{field: string, message: string}>} The validation errors
+ */
+function validateValue(value, definition, field) {
+    if (!definition.check(value)) {
+        return [{ field, message: `expected ${definition.type}, got ${describeType(value)}` }];
+    }
+
+    const errors = [];
+    if (definition.fields) {
+        errors.push(...validateFields(value, definition.fields, `${field}.`));
+    }
+    if (definition.items) {
+        value.forEach((item, index) => errors.push(...validateValue(item, definition.items, `${field}[${index}]`)));
+    }
+    return errors;
+}
+
+/**
+ * Validates an object against a set of field definitions
+ * @param {Object} object - The object to validate
+ * @param {Object} fields - The field definitions
+ * @param {string} prefix - The path of the object, prepended to reported field names
+ * @returns {Array<{field: string, message: string}>} The validation errors
+ */
+function validateFields(object, fields, prefix) {
+    const errors = [];
+    Object.entries(fields).forEach(([name, definition]) => {
+        const field = `${prefix}${name}`;
+        const value = object[name];
+        if (value === undefined) {
+            if (definition.required) {
+                errors.push({ field, message: "is required but missing" });
+            }
+            return;
+        }
+        errors.push(...validateValue(value, definition, field));
+    });
+    return errors;
+}
+
+/**
+ * Upgrades a problem to the current schema version
+ * @param {Object} problem - The problem as loaded from its file
+ * @returns {Promise<Object>} The migrated problem (the input is not modified)
+ * @throws {Error} If schemaVersion is malformed or newer than this build understands
+ */
+export async function migrateProblem(problem) {
+    let version = problem.schemaVersion ?? 0;
+    if (!Number.isInteger(version) || version < 0) {
+        throw new Error(`expected a non-negative integer, got ${describeType(version)}`);
+    }
+    if (version > SCHEMA_VERSION) {
+        throw new Error(`version ${version} is newer than the supported version ${SCHEMA_VERSION}`);
+    }
+
+    let migrated = problem;
+    while (version < SCHEMA_VERSION) {
+        migrated = await MIGRATIONS[version](migrated);
+        version = migrated.schemaVersion;
+    }
+    return migrated;
+}
+
+/**
+ * Validates a problem against the current schema
+ * @param {Object} problem - The (migrated) problem
+ * @returns {Array<{field: string, message: string}>} The validation errors; empty if valid
+ */
+export function validateProblem(problem) {
+    if (problem === null || typeof problem !== "object" || Array.isArray(problem)) {
+        return [{ field: "(root)", message: `expected an object, got ${describeType(problem)}` }];
+    }
+
+    const errors = validateFields(problem, FIELDS, "");
+    if (problem.answerType === "decimal" && problem.precision === undefined) {
+        errors.push({ field: "precision", message: `is required when answerType is "decimal"` });
+    }
+    if (problem.answerType === "resultset" && problem.track !== "sql") {
+        errors.push({ field: "track", message: `must be "sql" when answerType is "resultset"` });
+    }
+
+    if (problem.schemaVersion !== undefined && problem.schemaVersion !== SCHEMA_VERSION) {
+        errors.push({ field: "schemaVersion", message: `expected ${SCHEMA_VERSION}, got ${describeType(problem.schemaVersion)}` });
+    }
+
+    return errors;
+}
+
+/**
+ * Migrates and validates a freshly loaded problem
+ * @param {Object} problem - The problem as loaded from its file
+ * @returns {Promise<{problem: Object|null, errors: Array<{field: string, message: string}>}>} The result
+ */
+export async function parseProblem(problem) {
+    if (problem === null || typeof problem !== "object" || Array.isArray(problem)) {
+        return { problem: null, errors: validateProblem(problem) };
+    }
+
+    let migrated;
+    try {
+        migrated = await migrateProblem(problem);
+    } catch (error) {
+        return { problem: null, errors: [{ field: "schemaVersion", message: error.message }] };
+    }
+
+    const errors = validateProblem(migrated);
+    return { problem: errors.length ? null : migrated, errors };
+}
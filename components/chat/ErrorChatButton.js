@@ -7,6 +7,7 @@
 
 import * as ChatManager from "./ChatManager.js";
 import * as Composer from "../composer/Composer.js";
+import { parseTraceback, describeTraceback } from "../compiler/TracebackParser.js";
 
 // Add styles
 const styles = document.createElement('style');
@@ -65,6 +66,12 @@ export function create(errorMessage, editorElement) {
         existingButton.remove();
     }
 
+    // Lead with the parsed error and where it happened, if it is a Python traceback
+    const traceback = typeof errorMessage === 'string' ? parseTraceback(errorMessage) : null;
+    if (traceback) {
+        errorMessage = `${describeTraceback(traceback)}\n\n${errorMessage}`;
+    }
+
     const box = document.createElement('div');
     box.className = 'ask-chat-box';
 
@@ -6,6 +6,9 @@
  */
 
 import { CodeCompletionConfig as CONFIG } from './config.js';
+import * as EulerUtils from '../library/EulerUtils.js';
+import * as AiSettings from '../settings/AiSettings.js';
+import * as LlmClient from '../ai/LlmClient.js';
 
 // Cache for completions
 const completionCache = new Map();
@@ -277,12 +280,17 @@ function cleanCompletion(existingCode, completion) {
 }
 
 /**
- * Gets completion suggestions from Gemini
+ * Gets completion suggestions from the configured model
  * @param {string} text - The full text content
  * @param {number} cursorOffset - The cursor position
- * @returns {Promise<string|null>} The completion suggestion
+ * @returns {Promise<string|null>} The completion suggestion; null if the AI is not configured
  */
 async function getAutoComplete(text, cursorOffset) {
+    // Without the user's API key there is nothing to ask
+    if (!AiSettings.isAiConfigured()) {
+        return null;
+    }
+
     const makeRequest = async () => {
         try {
             console.log('Attempting completion request:', {
@@ -306,12 +314,14 @@ async function getAutoComplete(text, cursorOffset) {
             const beforeCursor = text.substring(0, cursorOffset);
             const indentation = analyzeIndentation(beforeCursor);
             const langSettings = CONFIG.languageSettings.python;
+            const library = EulerUtils.describeForPrompt();
             
-            const requestBody = {
-                contents: [{
+            const request = {
+                temperature: CONFIG.temperature,
+                maxTokens: CONFIG.maxTokens,
+                messages: [{
                     role: 'user',
-                    parts: [{
-                        text: `You are a code completion AI. You will be shown existing code followed by a ▼ cursor marker.
+                    content: `You are a code completion AI. You will be shown existing code followed by a ▼ cursor marker.
 Your task is to ONLY provide what should come AFTER the cursor marker.
 DO NOT repeat any code that comes before the ▼ marker.
 
@@ -321,57 +331,27 @@ Rules:
 3. Use the correct syntax for python
 4. Use ${langSettings.indentSize} spaces for indentation
 5. Follow language-specific conventions for python
-
+${library ? `\n${library}\n` : ""}
 EXISTING CODE:
 ${beforeCursor}
 
 COMPLETE FROM HERE (▼):
 ▼`
-                    }]
                 }]
             };
 
-            const response = await fetch(`${CONFIG.apiEndpoint}?key=${CONFIG.apiKey}`, {
-                method: "POST",
-                headers: {
-                    "Content-Type": "application/json"
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                console.log("API Response:", {
-                    status: response.status,
-                    statusText: response.statusText
-                });
-                return null;
-            }
-
-            let data;
+            let completion;
             try {
-                data = await response.json();
-            } catch (jsonError) {
-                console.error('JSON parsing error:', jsonError);
-                rateLimiter.handleFailure();
-                return null;
-            }
-            
-            // Validate response structure
-            if (!data || !Array.isArray(data.candidates) || data.candidates.length === 0) {
-                console.warn('Invalid API response structure:', data);
-                rateLimiter.handleFailure();
-                return null;
-            }
-
-            const candidate = data.candidates[0];
-            if (!candidate?.content?.parts || !Array.isArray(candidate.content.parts) || candidate.content.parts.length === 0) {
-                console.warn('Invalid candidate structure:', candidate);
-                rateLimiter.handleFailure();
+                completion = await LlmClient.generate(request);
+            } catch (error) {
+                console.log("Completion request failed:", error.message);
+                // Only failures of the model itself count towards the backoff, not a wrong URL or key
+                if (error.status === 0 || error.status === 429 || error.status >= 500) {
+                    rateLimiter.handleFailure();
+                }
                 return null;
             }
 
-            let completion = candidate.content.parts[0]?.text || "";
-
             // Clean and format AI response
             completion = completion
                 .replace(/^```.*?```/gs, '')  // Remove Markdown code blocks
@@ -0,0 +1,161 @@
+/**
+ * Answer Extractor Component
+ *
+ * Picks the answer out of a program's output so that debug prints do not
+ * make a correct solution fail. The extraction policy is configured per
+ * problem through its `extraction` field:
+ *
+ * - last-line: The last non-empty line (default)
+ * - marker:    The text after the last line starting with a marker, e.g. "ANSWER: 233168"
+ * - json:      A property of a JSON object printed on the final line, e.g. {"answer": 233168}
+ *
+ * Extraction returns the answer text together with its offsets in the
+ * output, so the output panel can highlight exactly what was checked.
+ */
+
+export const EXTRACTION_MODES = ["last-line", "marker", "json"];
+
+const DEFAULT_EXTRACTION = {
+    mode: "last-line",
+    marker: "ANSWER:",
+    key: "answer"
+};
+
+/**
+ * Splits text into lines, keeping each line's offset in the text
+ * @param {string} text - The text to split
+ * @returns {Array<{text: string, start: number}>} The lines
+ */
+function splitLines(text) {
+    const lines = [];
+    let start = 0;
+    text.split("\n").forEach(line => {
+        lines.push({ text: line, start });
+        start += line.length + 1;
+    });
+    return lines;
+}
+
+/**
+ * Creates an extraction result for a substring of a line, trimming surrounding whitespace
+ * @param {{text: string, start: number}} line - The line
+ * @param {number} from - The offset in the line where the answer begins
+ * @returns {{value: string, start: number, end: number}|null} The result, or null if empty
+ */
+function resultFromLine(line, from = 0) {
+    const rest = line.text.slice(from);
+    const value = rest.trim();
+    if (!value) {
+        return null;
+    }
+    const start = line.start + from + (rest.length - rest.trimStart().length);
+    return { value, start, end: start + value.length };
+}
+
+/**
+ * Extracts the last non-empty line
+ */
+function extractLastLine(lines) {
+    const line = [...lines].reverse().find(l => l.text.trim() !== "");
+    return line ? resultFromLine(line) : null;
+}
+
+/**
+ * Extracts the value following the last occurrence of the marker at the start of a line
+ */
+function extractMarker(lines, marker) {
+    const line = [...lines].reverse().find(l => l.text.trimStart().startsWith(marker));
+    if (!line) {
+        return null;
+    }
+    return resultFromLine(line, line.text.indexOf(marker) + marker.length);
+}
+
+/**
+ * Extracts a property from a JSON object on the final non-empty line
+ */
+function extractJson(lines, key) {
+    const line = [...lines].reverse().find(l => l.text.trim() !== "");
+    if (!line) {
+        return null;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(line.text);
+    } catch (ignorable) {
+        return null;
+    }
+    if (data === null || typeof data !== "object" || !(key in data)) {
+        return null;
+    }
+
+    // Take numbers from the raw text: JSON.parse would round integers above 2^53.
+    // The key may also occur in nested objects, so only an occurrence whose
+    // value parses to the top-level one will do (JSON.parse keeps the last).
+    const escapedKey = JSON.stringify(key).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const pattern = new RegExp(`${escapedKey}\\s*:\\s*(-?\\d[\\d.eE+-]*|"(?:[^"\\\\]|\\\\.)*")`, "g");
+    const parsesToValue = raw => {
+        try {
+            return JSON.parse(raw) === data[key];
+        } catch (ignorable) {
+            return false;
+        }
+    };
+    const match = [...line.text.matchAll(pattern)].reverse().find(candidate => parsesToValue(candidate[1]));
+    if (match) {
+        const start = line.start + match.index + match[0].length - match[1].length;
+        const value = match[1].startsWith('"') ? JSON.parse(match[1]) : match[1];
+        return { value, start, end: start + match[1].length };
+    }
+
+    // Fall back to highlighting the whole line, e.g. for nested or boolean values
+    return { ...resultFromLine(line), value: String(data[key]) };
+}
+
+/**
+ * Resolves a problem's extraction settings, filling in defaults
+ * @param {Object} [extraction] - The problem's extraction field
+ * @returns {{mode: string, marker: string, key: string}} The settings
+ */
+export function resolveExtraction(extraction) {
+    return { ...DEFAULT_EXTRACTION, ...(extraction || {}) };
+}
+
+/**
+ * Describes an extraction policy for messages
+ * @param {Object} [extraction] - The problem's extraction field
+ * @returns {string} The description
+ */
+export function describeExtraction(extraction) {
+    const settings = resolveExtraction(extraction);
+    switch (settings.mode) {
+        case "marker":
+            return `a line starting with "${settings.marker}"`;
+        case "json":
+            return `a JSON object with an "${settings.key}" property on the last line`;
+        default:
+            return "the last non-empty line";
+    }
+}
+
+/**
+ * Extracts the answer from program output
+ * @param {string} output - The program output
+ * @param {Object} [extraction] - The problem's extraction field
+ * @returns {{value: string, start: number, end: number}|null} The answer and its offsets in the output,
+ *          or null if the output contains no answer under this policy
+ */
+export function extractAnswer(output, extraction) {
+    const settings = resolveExtraction(extraction);
+    const lines = splitLines(output || "");
+
+    switch (settings.mode) {
+        case "marker":
+            return extractMarker(lines, settings.marker);
+        case "json":
+            return extractJson(lines, settings.key);
+        default:
+            return extractLastLine(lines);
+    }
+}
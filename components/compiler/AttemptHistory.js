@@ -0,0 +1,118 @@
+/**
+ * Attempt History Component
+ *
+ * Keeps a per-problem log of checked answers in local storage and applies
+ * a Project Euler style throttling policy: a few wrong answers are free,
+ * after that every further wrong answer locks answer checking for a period
+ * that doubles each time. A correct answer resets the policy, and
+ * resubmitting an answer that was already rejected is not counted again.
+ */
+
+import ls from "../../core/storage/LocalStorage.js";
+
+// Constants
+const STORAGE_KEY_PREFIX = "EULER_ATTEMPTS_";
+const MAX_STORED_ATTEMPTS = 100;
+
+export const THROTTLE_POLICY = {
+    freeWrongAttempts: 3,           // Wrong answers allowed before throttling starts
+    initialLockoutMs: 30 * 1000,    // Lockout after the first throttled wrong answer
+    maxLockoutMs: 60 * 60 * 1000,   // Lockouts double up to one hour
+    windowMs: 24 * 60 * 60 * 1000   // Wrong answers older than a day are forgiven
+};
+
+/**
+ * Returns the storage key for a problem's attempts
+ * @param {number} problemId - The problem ID
+ * @returns {string} The storage key
+ */
+function storageKey(problemId) {
+    return `${STORAGE_KEY_PREFIX}${problemId}`;
+}
+
+/**
+ * Returns the wrong attempts that count towards throttling:
+ * those made since the last correct answer and within the policy window
+ * @param {Array<Object>} attempts - The attempt log
+ * @param {number} now - The current time
+ * @returns {Array<Object>} The counted wrong attempts, oldest first
+ */
+function countedWrongAttempts(attempts, now) {
+    const lastCorrect = attempts.map(attempt => attempt.correct).lastIndexOf(true);
+    return attempts
+        .slice(lastCorrect + 1)
+        .filter(attempt => !attempt.correct && now - attempt.timestamp < THROTTLE_POLICY.windowMs);
+}
+
+/**
+ * Returns the attempt log of a problem
+ * @param {number} problemId - The problem ID
+ * @returns {Array<{timestamp: number, value: string, codeHash: string, correct: boolean}>} The attempts, oldest first
+ */
+export function getAttempts(problemId) {
+    const attempts = ls.get(storageKey(problemId));
+    return Array.isArray(attempts) ? attempts : [];
+}
+
+/**
+ * Finds an earlier wrong attempt with the same answer
+ * @param {number} problemId - The problem ID
+ * @param {string} value - The canonical answer
+ * @returns {Object|null} The earlier attempt, or null
+ */
+export function findRejectedAttempt(problemId, value) {
+    return getAttempts(problemId).find(attempt => !attempt.correct && attempt.value === value) || null;
+}
+
+/**
+ * Records a checked answer
+ * @param {number} problemId - The problem ID
+ * @param {{value: string, codeHash: string, correct: boolean}} attempt - The attempt
+ */
+export function recordAttempt(problemId, attempt) {
+    const attempts = getAttempts(problemId);
+    attempts.push({ timestamp: Date.now(), ...attempt });
+    ls.set(storageKey(problemId), attempts.slice(-MAX_STORED_ATTEMPTS));
+}
+
+/**
+ * Computes the current throttling state of a problem
+ * @param {number} problemId - The problem ID
+ * @returns {{locked: boolean, retryAt: number, remainingMs: number, wrongAttempts: number}} The state
+ */
+export function getThrottleState(problemId) {
+    const now = Date.now();
+    const wrong = countedWrongAttempts(getAttempts(problemId), now);
+    const throttled = wrong.length - THROTTLE_POLICY.freeWrongAttempts;
+
+    if (throttled <= 0) {
+        return { locked: false, retryAt: now, remainingMs: 0, wrongAttempts: wrong.length };
+    }
+
+    const lockoutMs = Math.min(
+        THROTTLE_POLICY.initialLockoutMs * 2 ** (throttled - 1),
+        THROTTLE_POLICY.maxLockoutMs
+    );
+    const retryAt = wrong[wrong.length - 1].timestamp + lockoutMs;
+
+    return {
+        locked: retryAt > now,
+        retryAt,
+        remainingMs: Math.max(0, retryAt - now),
+        wrongAttempts: wrong.length
+    };
+}
+
+/**
+ * Formats a duration for messages, e.g. "45s" or "2m 30s"
+ * @param {number} ms - The duration in milliseconds
+ * @returns {string} The formatted duration
+ */
+export function formatDuration(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 60) {
+        return `${seconds}s`;
+    }
+    const minutes = Math.floor(seconds / 60);
+    return seconds % 60 ? `${minutes}m ${seconds % 60}s` : `${minutes}m`;
+}
@@ -1,31 +1,63 @@
 /**
  * Compiler Manager Component
  * 
- * Manages code execution through the Judge0 API.
+ * Manages code execution through the configured execution backend
+ * (see ExecutionBackend.js) and checks the program's answer.
  */
 
 import * as EditorManager from "../editor/EditorManager.js";
 import * as LanguageManager from "../language/LanguageManager.js";
+import * as ExecutionBackend from "./ExecutionBackend.js";
 import * as ErrorChatButton from "../chat/ErrorChatButton.js";
+import * as ProblemCatalog from "../catalog/ProblemCatalog.js";
 import { SuccessModal } from "../modal/SuccessModal.js";
+import { verifyAnswer, sha256Hex } from "../../core/crypto/AnswerHash.js";
+import { encode, decode, encodeBytes } from "../../core/utils/Base64.js";
+import { createZip } from "../../core/utils/Zip.js";
+import { canonicalizeAnswer, describeAnswerFormat, answersEqual, getAnswerType } from "../../core/answers/AnswerFormat.js";
+import { countRows } from "../../core/answers/ResultSet.js";
+import * as AnswerExtractor from "./AnswerExtractor.js";
+import * as AttemptHistory from "./AttemptHistory.js";
+import * as VerdictBanner from "./VerdictBanner.js";
+import * as RunHistory from "../runs/RunHistory.js";
+import * as Benchmark from "../benchmark/Benchmark.js";
+import * as BenchmarkChart from "../benchmark/BenchmarkChart.js";
+import * as EulerUtils from "../library/EulerUtils.js";
+import * as TracebackView from "../editor/TracebackView.js";
+import { parseTraceback } from "./TracebackParser.js";
+import * as SqlTrack from "../sql/SqlTrack.js";
+import * as Profiler from "../profile/Profiler.js";
+import * as HeatMap from "../profile/HeatMap.js";
+import * as StressTest from "../stress/StressTest.js";
+import { MAIN_FILE } from "./Harness.js";
 
 // Initialize success modal
 const successModal = new SuccessModal();
 
-// Constants
-const INITIAL_WAIT_TIME_MS = 0;
-const WAIT_TIME_FUNCTION = i => 100;
-const MAX_PROBE_REQUESTS = 50;
-
-// API Configuration
-const API_KEY = ""; // Get yours at https://platform.sulu.sh/apis/judge0
-const AUTH_HEADERS = API_KEY ? {
-    "Authorization": `Bearer ${API_KEY}`
-} : {};
+// Project Euler's "one-minute rule": a good solution runs in under a minute
+const DEFAULT_LIMITS = {
+    time: 60,           // Seconds
+    memory: 262144      // KB (256 MB)
+};
+const MEMORY_LIMIT_MARGIN = 0.95;   // A failed run that used this much of its memory limit ran out of memory
+const STATUS_TIME_LIMIT_EXCEEDED = 5;
+const PROFILE_TIME_MARGIN = 2;      // Seconds left after a profile's time budget for printing the stats
 
 // State variables
 let timeStart;
+let submittedSource = "";
+let submittedStdin = "";
+let submittedLanguage = null;
+let submittedFiles = [];
+let outputPreamble = "";    // Text shown above the program output, e.g. a test report
+let runMode = "run";        // "run", or the harness the submission runs in: "profile" or "stress"
+let submittedLimits = null; // The run's time and memory limits, see applyLimits(); null if the backend sets its own
 let $runBtn;
+let $runTestsBtn;
+let $stopBtn;
+let $benchmarkBtn;
+let $profileBtn;
+let abortController = null;  // Abandons the submission in flight
 let $statusLine;
 let sqliteAdditionalFiles;
 let currentProblem = null;  // Add this to track current problem
@@ -40,29 +72,203 @@ function showError(title, content) {
 }
 
 /**
- * Shows an HTTP error modal
+ * Shows an HTTP error modal; errors without an HTTP status show their message
  */
 function showHttpError(jqXHR) {
-    showError("Error", `HTTP ${jqXHR.status} - ${jqXHR.statusText}`);
+    if (jqXHR?.status === undefined) {
+        showError("Error", $("<div>").text(jqXHR?.message || String(jqXHR)).html());
+        return;
+    }
+    const hint = [401, 403].includes(jqXHR.status)
+        ? "<br><br>The execution backend rejected the credentials. Check the API key or token in Settings."
+        : "";
+    showError("Error", `HTTP ${jqXHR.status} - ${jqXHR.statusText}${hint}`);
 }
 
 /**
- * Checks if the solution is correct
+ * Returns the current problem's time and memory budgets
+ * @returns {{time: number, memory: number}} The budgets in seconds and KB
  */
-function checkSolution(output) {
-    // Convert output to number and trim whitespace
-    const userAnswer = parseInt(output.trim());
-    
-    if (!currentProblem || !currentProblem.answer) {
+function getLimits() {
+    return { ...DEFAULT_LIMITS, ...(currentProblem?.limits || {}) };
+}
+
+/**
+ * Gives a submission the largest time and memory limits the backend accepts
+ * (see ExecutionBackend.js), so that a run over the problem's budgets still
+ * finishes and its answer is checked; the budgets are compared with the
+ * run's usage afterwards, see measureAgainstLimits()
+ * @param {Object} submission - The Judge0 submission
+ * @returns {{cpuTime: number, wallTime: number, memory: number}|null} The limits set, in seconds
+ *          and KB; null if the backend takes none
+ */
+function applyLimits(submission) {
+    const max = ExecutionBackend.getBackend().maxLimits;
+    if (!max) {
+        return null;
+    }
+    submission.cpu_time_limit = max.cpuTime;
+    submission.wall_time_limit = max.wallTime;
+    submission.memory_limit = max.memory;
+    return max;
+}
+
+/**
+ * Finds the limits a failed run was stopped at, and what they were
+ * @param {Object} data - The Judge0 result
+ * @param {string} output - The run's output
+ * @returns {{time?: number|null, memory?: number|null}} The limits hit, in seconds and KB (null if
+ *          unknown); empty if the run failed for another reason
+ */
+function findStoppingLimits(data, output) {
+    const stopped = {};
+    if (runMode !== "run" || data.status.id === 3) {
+        return stopped;
+    }
+    if (data.status.id === STATUS_TIME_LIMIT_EXCEEDED) {
+        // Backends without limits report the time they stopped the run at
+        stopped.time = submittedLimits ? submittedLimits.cpuTime : (data.time === null ? null : parseFloat(data.time));
+    }
+    const memory = data.memory === null ? null : Number(data.memory);
+    if ((submittedLimits && memory !== null && memory >= submittedLimits.memory * MEMORY_LIMIT_MARGIN) || /\bMemoryError\b/.test(output)) {
+        stopped.memory = submittedLimits ? submittedLimits.memory : null;
+    }
+    return stopped;
+}
+
+/**
+ * Describes a run stopped at its limits as an answer check result: over
+ * budget if a limit at or above the problem's budget was hit, otherwise
+ * stopped at the backend's limit, which is below the budget
+ * @param {{time?: number|null, memory?: number|null}} stopped - The limits hit, see findStoppingLimits()
+ * @returns {{verdict: string, message: string}} The result
+ */
+function describeStoppedRun(stopped) {
+    const budget = getLimits();
+    const mb = kb => `${Math.round(kb / 1024)} MB`;
+    const overTime = "time" in stopped && (stopped.time === null || stopped.time >= budget.time);
+    const overMemory = "memory" in stopped && (stopped.memory === null || stopped.memory >= budget.memory);
+
+    if (overTime || overMemory) {
+        const budgets = [overTime ? `${budget.time}s time` : "", overMemory ? `${mb(budget.memory)} memory` : ""].filter(Boolean);
+        return {
+            verdict: "over-budget",
+            message: `The run exceeded the ${budgets.join(" and ")} budget and was stopped, so the answer was not checked. Look for a faster algorithm rather than brute force.`
+        };
+    }
+
+    const limits = ["time" in stopped ? `${stopped.time}s time` : "", "memory" in stopped ? `${mb(stopped.memory)} memory` : ""].filter(Boolean);
+    return {
+        verdict: "backend-limit",
+        message: `The run was stopped at the execution backend's ${limits.join(" and ")} limit, within the problem's budget (${budget.time}s, ${mb(budget.memory)}), so the answer was not checked. A self-hosted Judge0 can allow more, see maxLimits in the README.`
+    };
+}
+
+/**
+ * Compares a run's resource usage with the problem's budgets
+ * @param {{time: number|null, memory: number|null}} usage - The run's time (s) and memory (KB)
+ * @returns {{time: number|null, memory: number|null, limits: Object, withinBudget: boolean, exceeded: Array<string>}} The comparison
+ */
+function measureAgainstLimits(usage) {
+    const limits = getLimits();
+    const exceeded = [];
+    if (usage.time !== null && usage.time > limits.time) {
+        exceeded.push("time");
+    }
+    if (usage.memory !== null && usage.memory > limits.memory) {
+        exceeded.push("memory");
+    }
+    return { ...usage, limits, withinBudget: exceeded.length === 0, exceeded };
+}
+
+/**
+ * Checks if the solution is correct, recording the attempt and applying the throttling policy
+ * @param {string} output - The program output; the answer is extracted per the problem's extraction policy
+ * @param {string} sourceCode - The submitted source code, recorded as a hash with the attempt
+ * @param {{time: number|null, memory: number|null}} usage - The run's time (s) and memory (KB)
+ * @param {number} outputOffset - Where the output starts in the output panel, for highlighting
+ * @returns {Promise<{verdict: string, message: string, answer?: string}>} The verdict:
+ *          "correct", "too-slow", "wrong", "no-answer", "throttled" or "unchecked"; rejects if the
+ *          answer cannot be canonicalized or hashed
+ */
+async function checkSolution(output, sourceCode, usage, outputOffset = 0) {
+    if (!currentProblem || !currentProblem.answerHash) {
         console.error('No problem context available');
-        return false;
+        return { verdict: "unchecked", message: "" };
+    }
+
+    // A query's whole result set is its answer; other programs print the answer somewhere in the output
+    const isResultSet = getAnswerType(currentProblem) === "resultset";
+    if (isResultSet && output.trim() === "") {
+        return { verdict: "no-answer", message: "The query returned no rows." };
+    }
+    const extracted = isResultSet
+        ? { value: output, start: 0, end: output.length }
+        : AnswerExtractor.extractAnswer(output, currentProblem.extraction);
+    if (!extracted) {
+        return {
+            verdict: "no-answer",
+            message: `Expected ${AnswerExtractor.describeExtraction(currentProblem.extraction)}.`
+        };
+    }
+    if (!isResultSet) {
+        EditorManager.highlightStdoutAnswer(outputOffset + extracted.start, outputOffset + extracted.end);
+    }
+
+    // Compare canonical forms so that e.g. "0.50" and ".5" match a decimal answer
+    const userAnswer = canonicalizeAnswer(extracted.value, currentProblem);
+    if (userAnswer === null) {
+        return {
+            verdict: "no-answer",
+            message: isResultSet
+                ? "The output is not a result set. Run a single SELECT query."
+                : `"${extracted.value}" is not a valid ${describeAnswerFormat(currentProblem)} answer.`
+        };
+    }
+    const shownAnswer = isResultSet ? `The result (${countRows(userAnswer)} rows)` : userAnswer;
+
+    const throttle = AttemptHistory.getThrottleState(currentProblem.id);
+    if (throttle.locked) {
+        return {
+            verdict: "throttled",
+            answer: userAnswer,
+            message: `Too many wrong answers. Try again in ${AttemptHistory.formatDuration(throttle.remainingMs)}.`
+        };
+    }
+
+    if (AttemptHistory.findRejectedAttempt(currentProblem.id, userAnswer)) {
+        return { verdict: "wrong", answer: userAnswer, message: `You already tried ${isResultSet ? "this result" : userAnswer}.` };
     }
 
-    if (userAnswer === parseInt(currentProblem.answer)) {
-        successModal.show(currentProblem, userAnswer);
-        return true;
+    const correct = await verifyAnswer(userAnswer, currentProblem.answerHash);
+    AttemptHistory.recordAttempt(currentProblem.id, {
+        value: userAnswer,
+        codeHash: await sha256Hex(sourceCode),
+        correct
+    });
+
+    if (correct) {
+        const budget = measureAgainstLimits(usage);
+        ProblemCatalog.markSolved(currentProblem.id);
+        successModal.show(currentProblem, shownAnswer, budget);
+        if (budget.withinBudget) {
+            return { verdict: "correct", answer: userAnswer, message: `${shownAnswer} is correct.` };
+        }
+        return {
+            verdict: "too-slow",
+            answer: userAnswer,
+            message: `${shownAnswer} is correct, but the run exceeded the ${budget.exceeded.join(" and ")} budget.`
+        };
     }
-    return false;
+
+    const next = AttemptHistory.getThrottleState(currentProblem.id);
+    return {
+        verdict: "wrong",
+        answer: userAnswer,
+        message: next.locked
+            ? `${shownAnswer} is not correct. Answer checking is paused for ${AttemptHistory.formatDuration(next.remainingMs)}.`
+            : `${shownAnswer} is not correct.`
+    };
 }
 
 /**
@@ -70,42 +276,88 @@ function checkSolution(output) {
  * @param {JQuery<HTMLElement>} runButton - The run button element
  * @param {JQuery<HTMLElement>} statusLine - The status line element
  * @param {GoldenLayout} layoutInstance - The GoldenLayout instance
+ * @param {JQuery<HTMLElement>} runTestsButton - The run tests button element
+ * @param {JQuery<HTMLElement>} stopButton - The stop button element
+ * @param {JQuery<HTMLElement>} benchmarkButton - The benchmark button element
+ * @param {JQuery<HTMLElement>} profileButton - The profile button element
  */
-export function initialize(runButton, statusLine, layoutInstance) {
+export function initialize(runButton, statusLine, layoutInstance, runTestsButton, stopButton, benchmarkButton, profileButton) {
     $runBtn = runButton;
     $statusLine = statusLine;
     layout = layoutInstance;
+    $runTestsBtn = runTestsButton;
+    $stopBtn = stopButton;
+    $benchmarkBtn = benchmarkButton;
+    $profileBtn = profileButton;
+}
+
+/**
+ * Starts or ends a submission: toggles the run and stop buttons and, when
+ * starting, creates the signal that the stop button aborts
+ * @param {boolean} running - Whether a submission is running
+ * @returns {AbortSignal|undefined} The new submission's abort signal, when starting
+ */
+function setRunning(running) {
+    [$runBtn, $runTestsBtn, $benchmarkBtn, $profileBtn].forEach(btn => btn?.toggleClass("disabled", running));
+    $stopBtn?.toggle(running);
+
+    if (!running) {
+        abortController = null;
+        return undefined;
+    }
+    abortController = new AbortController();
+    return abortController.signal;
+}
+
+/**
+ * Checks whether a submission is in flight
+ * @returns {boolean} True while running
+ */
+function isRunning() {
+    return abortController !== null;
 }
 
 /**
- * Encodes a string to base64
- * @param {string} str - The string to encode
- * @returns {string} The base64 encoded string
+ * Abandons the submission in flight. Judge0 keeps running it, but the
+ * result is ignored and the run buttons are enabled again.
  */
-function encode(str) {
-    try {
-        // First normalize line endings
-        const normalized = str.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-        // Then encode
-        return btoa(unescape(encodeURIComponent(normalized || "")));
-    } catch (e) {
-        console.error("Encoding error:", e);
-        return btoa(str || "");  // Fallback
+export function stop() {
+    if (!isRunning()) {
+        return;
     }
+    abortController.abort();
+    setRunning(false);
+    $statusLine.text("Stopped");
 }
 
 /**
- * Decodes a base64 string
- * @param {string} bytes - The base64 string to decode
- * @returns {string} The decoded string
+ * Handles a failed submission, ignoring the failure caused by stopping it
+ * @param {Object} error - The jqXHR-like error, or the abort reason
  */
-function decode(bytes) {
-    var escaped = escape(atob(bytes || ""));
-    try {
-        return decodeURIComponent(escaped);
-    } catch {
-        return unescape(escaped);
+function handleRunFailure(error) {
+    if (error?.name === "AbortError") {
+        return;
     }
+    handleRunError(error);
+}
+
+/**
+ * Removes what the last run left on the editors: the verdict banner,
+ * the benchmark chart, the traceback markers and the profile heat map
+ */
+function clearRunFeedback() {
+    VerdictBanner.remove();
+    BenchmarkChart.remove();
+    TracebackView.clear();
+    HeatMap.clear();
+}
+
+/**
+ * Switches the layout to the output panel
+ */
+function showStdoutPanel() {
+    let x = layout.root.getItemsById("stdout")[0];
+    x.parent.header.parent.setActiveContentItem(x);
 }
 
 /**
@@ -114,7 +366,7 @@ function decode(bytes) {
  */
 function handleRunError(jqXHR) {
     showHttpError(jqXHR);
-    $runBtn.removeClass("disabled");
+    setRunning(false);
 
     window.top.postMessage(JSON.parse(JSON.stringify({
         event: "runError",
@@ -126,6 +378,25 @@ function handleRunError(jqXHR) {
     }));
 }
 
+/**
+ * Records a run of the submitted code in the run history. Stress tests
+ * run the stress test snippets rather than the code, so they are not recorded.
+ * @param {Object} fields - The run's outcome: stdout, stderr, status, verdict, time, memory and tat
+ */
+function recordRun(fields) {
+    if (!currentProblem || runMode === "stress") {
+        return;
+    }
+    RunHistory.recordRun({
+        problemId: currentProblem.id,
+        language: submittedLanguage,
+        source: submittedSource,
+        files: submittedFiles,
+        stdin: submittedStdin,
+        ...fields
+    });
+}
+
 /**
  * Handles the result of code execution
  * @param {Object} data - The execution result data
@@ -134,14 +405,20 @@ function handleResult(data) {
     const tat = Math.round(performance.now() - timeStart);
     console.log(`It took ${tat}ms to get submission result.`);
 
+    // The run is over whatever happens below, including an early return or a throw
+    setRunning(false);
+
     // Debug output
     console.log("API Response:", data);
     console.log("Response Status:", data.status);
     
     const status = data.status;
-    const stdout = decode(data.stdout);
     const stderr = decode(data.stderr);
     const compileOutput = decode(data.compile_output);
+
+    // Profile and stress test runs end with the harness's findings, which are reported instead of checking the answer
+    const harnessRun = extractHarnessRun(decode(data.stdout));
+    const stdout = harnessRun ? harnessRun.output : decode(data.stdout);
     
     // Debug decoded outputs
     console.log("Stdout:", stdout);
@@ -154,14 +431,33 @@ function handleResult(data) {
     const time = (data.time === null ? "-" : data.time + "s");
     const memory = (data.memory === null ? "-" : data.memory + "KB");
 
-    $statusLine.html(`${status.description}, ${time}, ${memory} (TAT: ${tat}ms)`);
+    const statusText = `${status.description}, ${time}, ${memory} (TAT: ${tat}ms)`;
+    $statusLine.text(statusText);
 
     const output = [compileOutput, stdout, stderr].filter(Boolean).join("\n").trim();
     
     // Debug final output
     console.log("Final Output:", output);
 
-    EditorManager.setStdoutValue(output);
+    const runRecord = {
+        stdout: [compileOutput, stdout].filter(Boolean).join("\n"),
+        stderr,
+        status: status.description,
+        verdict: null,
+        time: data.time === null ? null : parseFloat(data.time),
+        memory: data.memory === null ? null : Number(data.memory),
+        tat
+    };
+
+    // An SQL query's output is a result set, shown as a grid
+    const resultSet = SqlTrack.isSqlLanguage(submittedLanguage) && status.id === 3 && !outputPreamble;
+    EditorManager.setStdoutValue(outputPreamble + [output, harnessRun?.report].filter(Boolean).join("\n\n"), { resultSet });
+    if (harnessRun?.summary) {
+        $statusLine.text(`${statusText} · ${harnessRun.summary}`);
+    }
+    if (harnessRun?.stats) {
+        HeatMap.show(harnessRun.stats);
+    }
 
     // Find the stdout container using the layout API
     const stdoutComponent = layout.root.getItemsById('stdout')[0];
@@ -177,24 +473,55 @@ function handleResult(data) {
         return;
     }
 
+    // A run stopped at a time or memory limit is over budget (or too big for the backend) rather than broken
+    const stopped = compileOutput ? {} : findStoppingLimits(data, output);
+
     // Check if there's an error in the output
-    if (compileOutput || (status && status.id !== 3)) {  // 3 is typically the "Accepted" status
+    if (Object.keys(stopped).length > 0) {
+        ErrorChatButton.remove();
+        const result = describeStoppedRun(stopped);
+        recordRun({ ...runRecord, verdict: result.verdict });
+        $statusLine.text(`${statusText} · ${VerdictBanner.VERDICT_TITLES[result.verdict]}`);
+        VerdictBanner.show(editorElement, result);
+    } else if (compileOutput || (status && status.id !== 3)) {  // 3 is typically the "Accepted" status
+        recordRun(runRecord);
+        const traceback = runMode !== "stress" && parseTraceback(outputPreamble + output);
+        if (traceback) {
+            TracebackView.show(traceback);
+        }
         ErrorChatButton.create(output, editorElement);
         window.dispatchEvent(new CustomEvent('compiler-error', { 
             detail: output
         }));
+    } else if (harnessRun) {
+        ErrorChatButton.remove();
+        recordRun(runRecord);
     } else {
         ErrorChatButton.remove();
         // Check if the solution is correct
-        if (checkSolution(output)) {
-            window.dispatchEvent(new CustomEvent('compiler-success', { 
-                detail: output
-            }));
-        }
+        const usage = {
+            time: data.time === null ? null : parseFloat(data.time),
+            memory: data.memory === null ? null : Number(data.memory)
+        };
+        checkSolution(output, submittedSource, usage, outputPreamble.length).catch(error => {
+            // E.g. crypto.subtle is missing when the IDE is not served over https or from localhost
+            console.error("Could not check the answer:", error);
+            return { verdict: "check-failed", message: `The answer could not be checked: ${error.message || error}` };
+        }).then(result => {
+            recordRun({ ...runRecord, verdict: result.verdict === "unchecked" ? null : result.verdict });
+            if (result.verdict === "unchecked") {
+                return;
+            }
+            $statusLine.text(`${statusText} · ${VerdictBanner.VERDICT_TITLES[result.verdict]}`);
+            VerdictBanner.show(editorElement, result);
+            if (result.verdict === "correct" || result.verdict === "too-slow") {
+                window.dispatchEvent(new CustomEvent('compiler-success', { 
+                    detail: output
+                }));
+            }
+        });
     }
 
-    $runBtn.removeClass("disabled");
-
     window.top.postMessage(JSON.parse(JSON.stringify({
         event: "postExecution",
         status: data.status,
@@ -205,121 +532,475 @@ function handleResult(data) {
 }
 
 /**
- * Fetches the submission status and result
- * @param {string} flavor - The Judge0 API flavor (CE or EXTRA_CE)
- * @param {string} region - The API region
- * @param {string} submission_token - The submission token
- * @param {number} iteration - The current iteration count
+ * Separates the output of a harness run from the harness's findings
+ * @param {string} stdout - The output of the submission
+ * @returns {{output: string, report: string, summary: string|null, stats: Object|null}|null} The
+ *          program output, the report shown below it, the status line summary and the profile
+ *          stats for the heat map; null if the submission did not run in a harness
  */
-function fetchSubmission(flavor, region, submission_token, iteration) {
-    if (iteration >= MAX_PROBE_REQUESTS) {
-        handleRunError({
-            statusText: "Maximum number of probe requests reached.",
-            status: 504
-        });
-        return;
+function extractHarnessRun(stdout) {
+    if (runMode === "profile") {
+        const { output, stats } = Profiler.extractProfile(stdout);
+        if (!stats) {
+            return { output, report: "No profile: the program did not finish.", summary: null, stats: null };
+        }
+        const sources = { [MAIN_FILE]: submittedSource };
+        submittedFiles.forEach(file => { sources[file.name] = file.content; });
+        return { output, report: Profiler.formatReport(stats, sources), summary: null, stats };
     }
+    if (runMode === "stress") {
+        const { output, result } = StressTest.extractResult(stdout);
+        if (!result) {
+            return { output, report: "The stress test did not finish.", summary: null, stats: null };
+        }
+        return { output, report: StressTest.formatReport(result), summary: StressTest.summarize(result), stats: null };
+    }
+    return null;
+}
 
-    $.ajax({
-        url: `${LanguageManager.UNAUTHENTICATED_BASE_URL[flavor]}/submissions/${submission_token}?base64_encoded=true`,
-        headers: {
-            "X-Judge0-Region": region
-        },
-        success: function (data) {
-            if (data.status.id <= 2) { // In Queue or Processing
-                $statusLine.html(data.status.description);
-                setTimeout(fetchSubmission.bind(null, flavor, region, submission_token, iteration + 1), WAIT_TIME_FUNCTION(iteration));
-            } else {
-                handleResult(data);
-            }
-        },
-        error: handleRunError
-    });
+/**
+ * Ships the helper files of the workspace with a submission, zipped into
+ * Judge0's additional_files, which are extracted next to the main source
+ * @param {Object} submission - The Judge0 submission
+ * @param {Array<{name: string, content: string}>} files - The helper files
+ * @returns {Object} The submission
+ */
+function attachAdditionalFiles(submission, files) {
+    if (files.length) {
+        submission.additional_files = encodeBytes(createZip(files));
+    }
+    return submission;
+}
+
+/**
+ * Collects the files shipped next to the main source: the workspace's
+ * helper files and, if enabled for the language, the euler_utils package
+ * @param {Array<{name: string, content: string}>} files - The helper files
+ * @param {{name: string}} language - The language
+ * @returns {Promise<Array<{name: string, content: string}>>} The files; rejects with a jqXHR-like error
+ */
+async function collectAdditionalFiles(files, language) {
+    if (!EulerUtils.appliesTo(language)) {
+        return files;
+    }
+    return [...files, ...await EulerUtils.loadFiles()];
 }
 
 /**
- * Sends a compilation request to the Judge0 API
+ * Sends a submission to the execution backend
  * @param {Object} data - The request data
  * @param {string} flavor - The API flavor
  * @param {number} languageId - The language ID
+ * @param {AbortSignal} signal - Abandons the submission
  */
-function sendRequest(data, flavor, languageId) {
+function sendRequest(data, flavor, languageId, signal) {
     window.top.postMessage(JSON.parse(JSON.stringify({
         event: "preExecution",
         source_code: EditorManager.getSourceValue(),
         language_id: languageId,
         flavor: flavor,
-        stdin: ""
+        stdin: EditorManager.getStdinValue(),
+        command_line_arguments: EditorManager.getCommandLineArguments()
     })), "*");
 
     timeStart = performance.now();
-    $.ajax({
-        url: `${LanguageManager.AUTHENTICATED_BASE_URL[flavor]}/submissions?base64_encoded=true&wait=false`,
-        type: "POST",
-        contentType: "application/json",
-        data: JSON.stringify(data),
-        headers: {
-            ...AUTH_HEADERS,
-            'Accept': 'application/json'
-        },
-        success: function (data, textStatus, request) {
-            console.log(`Your submission token is: ${data.token}`);
-            let region = request.getResponseHeader('X-Judge0-Region');
-            setTimeout(fetchSubmission.bind(null, flavor, region, data.token, 1), INITIAL_WAIT_TIME_MS);
-        },
-        error: handleRunError
-    });
+    ExecutionBackend.getBackend()
+        .execute(data, flavor, { onStatus: status => $statusLine.html(status.description), signal })
+        .then(handleResult)
+        .catch(handleRunFailure);
 }
 
 /**
  * Runs the code in the editor
  */
 export function run() {
+    if (!isRunning()) {
+        startRun("");
+    }
+}
+
+/**
+ * Runs the Python code in the editor under cProfile and a line tracer,
+ * then reports its hot spots and shows them as a heat map on the source.
+ * The answer is not checked.
+ */
+export function profile() {
+    if (isRunning() || EditorManager.getSourceValue().trim() === "") {
+        return;
+    }
+    if (!Profiler.appliesTo(LanguageManager.getLanguageConfig())) {
+        $statusLine.text("Profiling is available for Python only");
+        return;
+    }
+
+    // Stop profiling in time to print the stats before the backend's limit, or at the problem's budget
+    const maxLimits = ExecutionBackend.getBackend().maxLimits;
+    const timeBudget = maxLimits ? Math.max(maxLimits.cpuTime - PROFILE_TIME_MARGIN, 1) : getLimits().time;
+
+    Profiler.loadHarness().then(harness => {
+        if (!isRunning()) {
+            startRun("", { mode: "profile", program: Profiler.wrapSource(harness, EditorManager.getSourceValue(), timeBudget) });
+        }
+    }, handleRunError);
+}
+
+/**
+ * Runs a stress test (see StressTest.js): the generator, brute-force and
+ * fast snippets, with the workspace's helper files, for up to the given
+ * number of random cases in one submission. The first mismatch is reported.
+ * @param {{generator: string, brute: string, fast: string, cases: number, seed: number}} config - The test
+ */
+export function stressTest(config) {
+    if (isRunning()) {
+        return;
+    }
+    if (!StressTest.appliesTo(LanguageManager.getLanguageConfig())) {
+        $statusLine.text("Stress tests are available for Python only");
+        return;
+    }
+
+    StressTest.loadHarness().then(harness => {
+        if (!isRunning()) {
+            startRun("", { mode: "stress", program: StressTest.buildProgram(harness, config) });
+        }
+    }, handleRunError);
+}
+
+/**
+ * Submits the code in the editor and checks its answer
+ * @param {string} preamble - Text to show above the program output
+ * @param {{mode: string, program: string}|null} [harnessRun] - A harness program to submit instead,
+ *        with the run mode it implements, see Harness.js
+ */
+function startRun(preamble, harnessRun = null) {
     const sourceValue = EditorManager.getSourceValue();
-    if (sourceValue.trim() === "") {
+    if (!harnessRun && sourceValue.trim() === "") {
         return;
     }
 
     const languageConfig = LanguageManager.getLanguageConfig();
     
     // Create submission object with proper encoding
+    const stdin = EditorManager.getStdinValue();
+    const commandLineArguments = EditorManager.getCommandLineArguments();
     const submission = {
-        source_code: encode(sourceValue),  // Make sure to encode the source code
+        source_code: encode(harnessRun ? harnessRun.program : sourceValue),
         language_id: languageConfig.language_id,
-        stdin: "",
+        stdin: encode(stdin),
         redirect_stderr_to_stdout: true,
         base64_encoded: true  // Add this to indicate we're sending base64 encoded content
     };
+    if (commandLineArguments) {
+        submission.command_line_arguments = commandLineArguments;  // Not base64 encoded by Judge0
+    }
+    const files = EditorManager.getAdditionalFiles();
 
-    $runBtn.addClass("disabled");
-    EditorManager.setStdoutValue("");
+    // Stress tests run the snippets rather than the solution, within the backend's default limits
+    submittedLimits = harnessRun?.mode === "stress" ? null : applyLimits(submission);
+
+    const signal = setRunning(true);
+    EditorManager.setStdoutValue(preamble);
     $statusLine.html("");
+    clearRunFeedback();
+    submittedSource = sourceValue;
+    submittedFiles = files;
+    submittedStdin = stdin;
+    submittedLanguage = languageConfig;
+    outputPreamble = preamble;
+    runMode = harnessRun ? harnessRun.mode : "run";
 
-    let x = layout.root.getItemsById("stdout")[0];
-    x.parent.header.parent.setActiveContentItem(x);
+    showStdoutPanel();
 
-    let flavor = languageConfig.flavor;
-
-    // Handle SQLite specific requirements
-    if (languageConfig.language_id === 82) {
-        if (!sqliteAdditionalFiles) {
-            $.ajax({
-                url: `./data/additional_files_zip_base64.txt`,
-                contentType: "text/plain",
-                success: function (responseData) {
-                    sqliteAdditionalFiles = responseData;
-                    submission["additional_files"] = sqliteAdditionalFiles;
-                    sendRequest(submission, flavor, languageConfig.language_id);
-                },
-                error: handleRunError
-            });
-        } else {
-            submission["additional_files"] = sqliteAdditionalFiles;
-            sendRequest(submission, flavor, languageConfig.language_id);
+    collectAdditionalFiles(files, languageConfig).then(allFiles => {
+        if (!signal.aborted) {
+            sendWithDatabase(attachAdditionalFiles(submission, allFiles), languageConfig, signal);
         }
-    } else {
-        sendRequest(submission, flavor, languageConfig.language_id);
+    }, error => {
+        if (!signal.aborted) {
+            handleRunError(error);
+        }
+    });
+}
+
+/**
+ * Attaches the SQLite database to an SQL submission and asks sqlite3 for
+ * CSV output with a header row; the database replaces any helper files.
+ * Other submissions are left as they are.
+ * @param {Object} submission - The Judge0 submission
+ * @param {{flavor: string, language_id: number}} languageConfig - The language
+ * @returns {Promise<Object>} The submission; rejects with the jqXHR if the database cannot be loaded
+ */
+function attachDatabase(submission, languageConfig) {
+    if (!SqlTrack.isSqlLanguage(languageConfig)) {
+        return Promise.resolve(submission);
+    }
+    submission.command_line_arguments = SqlTrack.getCommandLineArguments(submission.command_line_arguments);
+    if (sqliteAdditionalFiles) {
+        submission["additional_files"] = sqliteAdditionalFiles;
+        return Promise.resolve(submission);
+    }
+    return new Promise((resolve, reject) => {
+        $.ajax({
+            url: `./data/additional_files_zip_base64.txt`,
+            contentType: "text/plain",
+            success: function (responseData) {
+                sqliteAdditionalFiles = responseData;
+                submission["additional_files"] = sqliteAdditionalFiles;
+                resolve(submission);
+            },
+            error: reject
+        });
+    });
+}
+
+/**
+ * Sends a submission, first attaching the SQLite database for SQL, see attachDatabase()
+ * @param {Object} submission - The Judge0 submission
+ * @param {{flavor: string, language_id: number}} languageConfig - The language
+ * @param {AbortSignal} signal - Abandons the submission
+ */
+function sendWithDatabase(submission, languageConfig, signal) {
+    attachDatabase(submission, languageConfig).then(() => {
+        if (!signal.aborted) {
+            sendRequest(submission, languageConfig.flavor, languageConfig.language_id, signal);
+        }
+    }, jqXHR => {
+        if (!signal.aborted) {
+            handleRunError(jqXHR);
+        }
+    });
+}
+
+/**
+ * Evaluates one test case result
+ * @param {{name?: string, stdin: string, expectedOutput: string}} test - The test case
+ * @param {Object} result - The Judge0 submission result
+ * @returns {{test: Object, passed: boolean, actual: string, time: string}} The evaluation
+ */
+function evaluateTestCase(test, result) {
+    const output = [decode(result.compile_output), decode(result.stdout), decode(result.stderr)].filter(Boolean).join("\n").trim();
+    const time = result.time === null ? "-" : `${result.time}s`;
+
+    if (result.compile_output || result.status.id !== 3) {
+        return { test, passed: false, actual: result.status.description, time };
+    }
+
+    const extracted = AnswerExtractor.extractAnswer(output, currentProblem.extraction);
+    const actual = extracted ? extracted.value : "(no answer)";
+    const passed = !!extracted && answersEqual(extracted.value, test.expectedOutput, currentProblem);
+    return { test, passed, actual, time };
+}
+
+/**
+ * Formats test case evaluations as a plain text table
+ * @param {Array<Object>} rows - The evaluations
+ * @returns {string} The table
+ */
+function formatTestReport(rows) {
+    const clip = text => {
+        const flat = String(text).trim().replace(/\n/g, "⏎");
+        return flat.length > 24 ? `${flat.slice(0, 23)}…` : flat;
+    };
+    const table = [
+        ["#", "Result", "Input", "Expected", "Actual", "Time"],
+        ...rows.map((row, i) => [
+            row.test.name || String(i + 1),
+            row.passed ? "PASS" : "FAIL",
+            clip(row.test.stdin),
+            clip(row.test.expectedOutput),
+            clip(row.actual),
+            row.time
+        ])
+    ];
+    const widths = table[0].map((_, column) => Math.max(...table.map(cells => cells[column].length)));
+    const lines = table.map(cells => cells.map((cell, column) => cell.padEnd(widths[column])).join("  ").trimEnd());
+    lines.splice(1, 0, widths.map(width => "-".repeat(width)).join("  "));
+
+    const passed = rows.filter(row => row.passed).length;
+    return `Tests: ${passed} of ${rows.length} passed\n\n${lines.join("\n")}`;
+}
+
+/**
+ * Handles the results of a test run: shows the report and, if every case
+ * passed, submits the real run so the answer gets checked
+ * @param {Array<Object>} results - The Judge0 submission results, in test order
+ */
+function handleTestResults(results) {
+    const rows = results.map((result, i) => evaluateTestCase(currentProblem.tests[i], result));
+    const passed = rows.filter(row => row.passed).length;
+    const report = formatTestReport(rows);
+
+    setRunning(false);
+
+    if (passed === rows.length) {
+        startRun(`${report}\n\nAll tests passed. Checking the answer...\n\n`);
+        return;
     }
+
+    EditorManager.setStdoutValue(report);
+    $statusLine.text(`Tests: ${passed} of ${rows.length} passed`);
+    recordRun({
+        stdout: report,
+        stderr: "",
+        status: `Tests: ${passed} of ${rows.length} passed`,
+        verdict: "tests-failed",
+        time: null,
+        memory: null,
+        tat: Math.round(performance.now() - timeStart)
+    });
+
+    const stdoutComponent = layout.root.getItemsById('stdout')[0];
+    const editorElement = stdoutComponent?.container.getElement().find('.monaco-editor')[0];
+    VerdictBanner.show(editorElement, {
+        verdict: "tests-failed",
+        message: `${rows.length - passed} of ${rows.length} tests failed. The answer was not checked.`
+    });
+}
+
+/**
+ * Runs the code in the editor against the problem's test cases as one
+ * batch submission, then checks the answer if all pass
+ */
+export function runTests() {
+    const tests = currentProblem?.tests || [];
+    const sourceValue = EditorManager.getSourceValue();
+    if (tests.length === 0 || sourceValue.trim() === "" || isRunning()) {
+        return;
+    }
+
+    const languageConfig = LanguageManager.getLanguageConfig();
+    const flavor = languageConfig.flavor;
+    const files = EditorManager.getAdditionalFiles();
+    const submissions = tests.map(test => {
+        const submission = {
+            source_code: encode(sourceValue),
+            language_id: languageConfig.language_id,
+            stdin: encode(test.stdin),
+            redirect_stderr_to_stdout: true
+        };
+        applyLimits(submission);
+        return submission;
+    });
+
+    const signal = setRunning(true);
+    EditorManager.setStdoutValue("");
+    $statusLine.text(`Running ${tests.length} tests...`);
+    submittedSource = sourceValue;
+    submittedFiles = files;
+    submittedStdin = "";
+    submittedLanguage = languageConfig;
+    runMode = "run";
+    timeStart = performance.now();
+    clearRunFeedback();
+    ErrorChatButton.remove();
+    showStdoutPanel();
+
+    collectAdditionalFiles(files, languageConfig)
+        .then(allFiles => ExecutionBackend.getBackend().executeBatch(
+            submissions.map(submission => attachAdditionalFiles(submission, allFiles)), flavor, {
+                onProgress: (finished, total) => $statusLine.text(`Running tests: ${finished} of ${total} finished`),
+                signal
+            }))
+        .then(handleTestResults)
+        .catch(handleRunFailure);
+}
+
+/**
+ * Handles the results of a benchmark: shows the statistics, saves them and
+ * draws the chart, compared with the problem's previous benchmark
+ * @param {Array<Object>} results - The Judge0 submission results, one per run
+ */
+async function handleBenchmarkResults(results) {
+    const tat = Math.round(performance.now() - timeStart);
+    setRunning(false);
+
+    const saved = await Benchmark.getBenchmarks(currentProblem.id);
+    const { runs, stats } = Benchmark.analyze(results);
+    const benchmark = {
+        problemId: currentProblem.id,
+        label: `${submittedLanguage.name} #${saved.length + 1}`,
+        language: submittedLanguage,
+        source: submittedSource,
+        files: submittedFiles,
+        stdin: submittedStdin,
+        runs,
+        stats
+    };
+
+    const report = Benchmark.formatReport(benchmark);
+    const firstFailure = results.find((result, i) => !runs[i].accepted);
+    const failureOutput = firstFailure
+        ? [decode(firstFailure.compile_output), decode(firstFailure.stdout), decode(firstFailure.stderr)].filter(Boolean).join("\n").trim()
+        : "";
+    EditorManager.setStdoutValue(failureOutput ? `${report}\n\nOutput of the first failed run:\n\n${failureOutput}` : report);
+
+    const accepted = runs.filter(run => run.accepted).length;
+    if (!stats.time) {
+        $statusLine.text(`Benchmark: ${accepted} of ${runs.length} runs accepted (TAT: ${tat}ms)`);
+        return;
+    }
+    $statusLine.text(`Benchmark: median ${stats.time.median.toFixed(3)}s over ${accepted} runs (TAT: ${tat}ms)`);
+
+    const stored = await Benchmark.saveBenchmark(benchmark) || benchmark;
+    const stdoutComponent = layout.root.getItemsById('stdout')[0];
+    const editorElement = stdoutComponent?.container.getElement().find('.monaco-editor')[0];
+    BenchmarkChart.show(editorElement, stored, saved);
+}
+
+/**
+ * Runs the code in the editor several times as one batch submission and
+ * reports the spread of its time and memory usage. The answer is not checked.
+ * @param {number} count - The number of runs, clamped to the supported range
+ */
+export function benchmark(count = Benchmark.DEFAULT_RUNS) {
+    const sourceValue = EditorManager.getSourceValue();
+    if (!currentProblem || sourceValue.trim() === "" || isRunning()) {
+        return;
+    }
+
+    const runs = Benchmark.clampRuns(count);
+    const languageConfig = LanguageManager.getLanguageConfig();
+    const stdin = EditorManager.getStdinValue();
+    const commandLineArguments = EditorManager.getCommandLineArguments();
+    const submission = {
+        source_code: encode(sourceValue),
+        language_id: languageConfig.language_id,
+        stdin: encode(stdin),
+        redirect_stderr_to_stdout: true
+    };
+    if (commandLineArguments) {
+        submission.command_line_arguments = commandLineArguments;
+    }
+    applyLimits(submission);
+    const files = EditorManager.getAdditionalFiles();
+
+    const signal = setRunning(true);
+    EditorManager.setStdoutValue("");
+    $statusLine.text(`Benchmarking ${runs} runs...`);
+    submittedSource = sourceValue;
+    submittedFiles = files;
+    submittedStdin = stdin;
+    submittedLanguage = languageConfig;
+    runMode = "run";
+    timeStart = performance.now();
+    clearRunFeedback();
+    ErrorChatButton.remove();
+    showStdoutPanel();
+
+    collectAdditionalFiles(files, languageConfig)
+        .then(allFiles => {
+            attachAdditionalFiles(submission, allFiles);
+            return attachDatabase(submission, languageConfig);
+        })
+        .then(() => {
+            return ExecutionBackend.getBackend().executeBatch(
+                Array.from({ length: runs }, () => ({ ...submission })), languageConfig.flavor, {
+                    onProgress: (finished, total) => $statusLine.text(`Benchmarking: ${finished} of ${total} runs finished`),
+                    signal
+                });
+        })
+        .then(handleBenchmarkResults)
+        .catch(handleRunFailure);
 }
 
 /**
@@ -351,11 +1032,12 @@ export function handleError(detail) {
 
 /**
  * Handles compiler success events
- * @param {Object} detail - The success details
+ * The answer has already been checked and recorded by handleResult,
+ * so this only clears leftovers from earlier failed runs.
+ * @param {string} detail - The program output
  */
 export function handleSuccess(detail) {
-    // Check if the solution is correct
-    checkSolution(detail);
+    ErrorChatButton.remove();
 }
 
 /**
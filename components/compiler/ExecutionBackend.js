@@ -0,0 +1,157 @@
+/**
+ * Execution Backend Component
+ *
+ * Chooses where submitted code runs. The configuration is kept in local
+ * storage under EULER_EXECUTION_BACKEND and has one of these shapes:
+ *
+ * - {type: "judge0-public", apiKey?}          Public Judge0 CE and Extra CE (default)
+ * - {type: "judge0-self-hosted", url, token?} A self-hosted Judge0 instance
+ * - {type: "http-runner", url, token?}        A custom runner, see HttpRunnerBackend.js
+ * - {type: "pyodide"}                         Python in the browser, works offline
+ *
+ * Remote backends also accept timeoutSeconds (how long to wait for a result,
+ * default 120), and the Judge0 backends accept wait: true to get results
+ * in one request instead of polling, where the instance allows it. A
+ * self-hosted Judge0 instance whose judge0.conf allows longer or bigger runs
+ * than the stock one takes maxLimits: {cpuTime?, wallTime?, memory?}.
+ *
+ * Every backend offers the same interface: listLanguages(), execute() and
+ * executeBatch(), all returning promises of Judge0 style results and
+ * accepting an AbortSignal to abandon a run. Backends that cap the
+ * cpu_time_limit, wall_time_limit and memory_limit of a submission say so in
+ * maxLimits ({cpuTime, wallTime, memory} in seconds and KB).
+ * Changing the configuration takes effect after a page reload, since the
+ * language list depends on the backend.
+ */
+
+import ls from "../../core/storage/LocalStorage.js";
+import { createPublicJudge0Backend, createSelfHostedJudge0Backend } from "./backends/Judge0Backend.js";
+import { createHttpRunnerBackend } from "./backends/HttpRunnerBackend.js";
+import { createPyodideBackend } from "./backends/PyodideBackend.js";
+
+// Constants
+const STORAGE_KEY = "EULER_EXECUTION_BACKEND";
+
+export const DEFAULT_BACKEND_CONFIG = { type: "judge0-public" };
+const MAX_LIMIT_KEYS = ["cpuTime", "wallTime", "memory"]; // Seconds, seconds and KB
+
+// Backend factories by configuration type
+const BACKEND_TYPES = {
+    "judge0-public": {
+        label: "Judge0 (public)",
+        requiresUrl: false,
+        create: createPublicJudge0Backend
+    },
+    "judge0-self-hosted": {
+        label: "Judge0 (self-hosted)",
+        requiresUrl: true,
+        create: createSelfHostedJudge0Backend
+    },
+    "http-runner": {
+        label: "Custom HTTP runner",
+        requiresUrl: true,
+        create: createHttpRunnerBackend
+    },
+    "pyodide": {
+        label: "Python in the browser (offline)",
+        requiresUrl: false,
+        create: createPyodideBackend
+    }
+};
+
+export const BACKEND_TYPE_NAMES = Object.keys(BACKEND_TYPES);
+
+/**
+ * Returns the display name of a backend type
+ * @param {string} type - The backend type, one of BACKEND_TYPE_NAMES
+ * @returns {string} The display name
+ */
+export function getBackendTypeLabel(type) {
+    return BACKEND_TYPES[type]?.label || type;
+}
+
+/**
+ * Checks whether a backend type needs a URL
+ * @param {string} type - The backend type, one of BACKEND_TYPE_NAMES
+ * @returns {boolean} True if the configuration must include a url
+ */
+export function backendRequiresUrl(type) {
+    return Boolean(BACKEND_TYPES[type]?.requiresUrl);
+}
+
+// State variables
+let backend = null;
+
+/**
+ * Validates a backend configuration
+ * @param {Object} config - The configuration
+ * @returns {Array<string>} The problems found; empty if the configuration is valid
+ */
+export function validateBackendConfig(config) {
+    const type = BACKEND_TYPES[config?.type];
+    if (!type) {
+        return [`Unknown backend type ${JSON.stringify(config?.type)}; expected one of ${BACKEND_TYPE_NAMES.join(", ")}`];
+    }
+    const problems = [];
+    if (type.requiresUrl && !/^https?:\/\/\S+$/i.test(config.url || "")) {
+        problems.push(`${type.label} needs an http(s) URL`);
+    }
+    if (config.timeoutSeconds !== undefined && !(typeof config.timeoutSeconds === "number" && config.timeoutSeconds > 0)) {
+        problems.push("timeoutSeconds must be a positive number");
+    }
+    if (config.wait !== undefined && typeof config.wait !== "boolean") {
+        problems.push("wait must be true or false");
+    }
+    if (config.maxLimits !== undefined) {
+        const valid = config.maxLimits !== null && typeof config.maxLimits === "object" &&
+            Object.entries(config.maxLimits).every(([key, value]) => MAX_LIMIT_KEYS.includes(key) && typeof value === "number" && value > 0);
+        if (!valid) {
+            problems.push(`maxLimits must map ${MAX_LIMIT_KEYS.join(", ")} to positive numbers`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Returns the stored backend configuration, or the default if none is stored or it is invalid
+ * @returns {Object} The configuration
+ */
+export function getBackendConfig() {
+    const config = ls.get(STORAGE_KEY);
+    if (!config) {
+        return DEFAULT_BACKEND_CONFIG;
+    }
+
+    const problems = validateBackendConfig(config);
+    if (problems.length > 0) {
+        console.error(`Ignoring invalid ${STORAGE_KEY}:`, problems.join("; "));
+        return DEFAULT_BACKEND_CONFIG;
+    }
+    return config;
+}
+
+/**
+ * Stores a backend configuration
+ * @param {Object} config - The configuration
+ * @throws {Error} If the configuration is invalid
+ */
+export function setBackendConfig(config) {
+    const problems = validateBackendConfig(config);
+    if (problems.length > 0) {
+        throw new Error(problems.join("; "));
+    }
+    ls.set(STORAGE_KEY, config);
+    backend = null;
+}
+
+/**
+ * Returns the configured backend
+ * @returns {Object} The backend
+ */
+export function getBackend() {
+    if (!backend) {
+        const config = getBackendConfig();
+        backend = BACKEND_TYPES[config.type].create(config);
+    }
+    return backend;
+}
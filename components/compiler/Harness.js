@@ -0,0 +1,61 @@
+/**
+ * Harness Module
+ *
+ * Harnesses are Python programs in data/harness/ that are submitted in place
+ * of the user's code, with the code (or a config holding it) base64 encoded
+ * into a placeholder. They run it on the execution backend and print their
+ * findings as a last line of output: a marker, then JSON. See Profiler.js and
+ * StressTest.js. A harness runs as the main file, MAIN_FILE, and takes the
+ * name from its __file__.
+ */
+
+// Constants
+const HARNESS_URL = "./data/harness/";
+
+// The name Python programs run under: Judge0's name for the main source, which
+// PyodideWorker.js follows. Tracebacks and profiles refer to the code by it.
+export const MAIN_FILE = "script.py";
+
+// State variables
+const harnessPromises = new Map();  // Harness name -> its source, loaded once
+
+/**
+ * Loads a harness
+ * @param {string} name - The harness name, e.g. "profile" for data/harness/profile.py
+ * @returns {Promise<string>} The harness source; rejects with a jqXHR-like error
+ */
+export function loadHarness(name) {
+    if (!harnessPromises.has(name)) {
+        const promise = fetch(`${HARNESS_URL}${name}.py`).then(response => {
+            if (!response.ok) {
+                throw { status: response.status, statusText: `Failed to load the ${name} harness` };
+            }
+            return response.text();
+        });
+        promise.catch(() => harnessPromises.delete(name));  // Retry on next use
+        harnessPromises.set(name, promise);
+    }
+    return harnessPromises.get(name);
+}
+
+/**
+ * Separates the program output from the JSON line printed by a harness
+ * @param {string} stdout - The output of the harness run
+ * @param {string} marker - The marker the harness prints before its JSON
+ * @returns {{output: string, data: Object|null}} The program output, and the JSON or null if
+ *          the run ended before printing it (e.g. on a time limit)
+ */
+export function extractHarnessOutput(stdout, marker) {
+    const start = stdout.lastIndexOf(`\n${marker}`);
+    if (start === -1) {
+        return { output: stdout, data: null };
+    }
+
+    const line = stdout.slice(start + marker.length + 1).split("\n")[0];
+    const output = stdout.slice(0, start) + stdout.slice(start + marker.length + 2 + line.length);
+    try {
+        return { output, data: JSON.parse(line) };
+    } catch {
+        return { output, data: null };
+    }
+}
@@ -0,0 +1,85 @@
+/**
+ * Traceback Parser
+ *
+ * Parses Python tracebacks in program output into structured data: the
+ * stack frames (file, line, function, source line) and the exception type
+ * and message. Used to mark the offending lines in the source editor and
+ * to make the frames in the output panel clickable (see TracebackView.js).
+ */
+
+// Constants
+const HEADER = "Traceback (most recent call last):";
+const FRAME_PATTERN = /^\s*File "([^"]+)", line (\d+)(?:, in (.+))?$/;
+const EXCEPTION_PATTERN = /^([A-Za-z_][\w.]*)(?::\s?(.*))?$/;
+const CARET_PATTERN = /^\s*[~^]+\s*$/;
+
+/**
+ * Returns the file name of a traceback path, e.g. "script.py" for "/box/script.py"
+ * @param {string} path - The path
+ * @returns {string} The file name
+ */
+export function fileName(path) {
+    return path.split("/").pop();
+}
+
+/**
+ * Parses the last Python traceback in some output. Chained exceptions
+ * ("During handling of the above exception...") yield the final one.
+ * Syntax errors, which have frames but no "Traceback" header, are found too.
+ * @param {string} text - The output
+ * @returns {{frames: Array<{file: string, line: number, name: string|null, code: string|null,
+ *          outputLine: number, outputColumn: number}>, type: string, message: string}|null} The
+ *          traceback, frames outermost first, with the 1-based output line and column where each
+ *          frame is printed; or null if the output has no traceback
+ */
+export function parseTraceback(text) {
+    const lines = text.split("\n");
+    const start = Math.max(0, lines.lastIndexOf(HEADER));
+    const frames = [];
+
+    for (let i = start; i < lines.length; i++) {
+        const frame = FRAME_PATTERN.exec(lines[i]);
+        if (frame) {
+            const next = lines[i + 1];
+            const hasCode = next !== undefined && /^\s{4,}\S/.test(next) && !FRAME_PATTERN.test(next) && !CARET_PATTERN.test(next);
+            frames.push({
+                file: frame[1],
+                line: parseInt(frame[2]),
+                name: frame[3] || null,
+                code: hasCode ? next.trim() : null,
+                outputLine: i + 1,
+                outputColumn: lines[i].indexOf("File") + 1
+            });
+            continue;
+        }
+
+        // The exception is the first unindented line after the frames
+        if (frames.length && /^\S/.test(lines[i]) && lines[i] !== HEADER) {
+            const exception = EXCEPTION_PATTERN.exec(lines[i].trimEnd());
+            if (!exception) {
+                return null;
+            }
+            return { frames, type: exception[1], message: (exception[2] || "").trim() };
+        }
+    }
+    return null;
+}
+
+/**
+ * Describes a traceback in one line, pointing at the innermost frame
+ * @param {Object} traceback - The traceback, see parseTraceback()
+ * @returns {string} The description, e.g.
+ *          "ZeroDivisionError: division by zero (script.py, line 3, in average: return total / count)"
+ */
+export function describeTraceback(traceback) {
+    const error = traceback.message ? `${traceback.type}: ${traceback.message}` : traceback.type;
+    const frame = traceback.frames[traceback.frames.length - 1];
+    if (!frame) {
+        return error;
+    }
+    const location = [fileName(frame.file), `line ${frame.line}`];
+    if (frame.name && frame.name !== "<module>") {
+        location.push(`in ${frame.name}`);
+    }
+    return `${error} (${location.join(", ")}${frame.code ? `: ${frame.code}` : ""})`;
+}
@@ -0,0 +1,107 @@
+/**
+ * Verdict Banner Component
+ *
+ * Shows the result of an answer check (correct, wrong, throttled, ...)
+ * as a banner over the output panel, next to the "Ask in Chat" box.
+ */
+
+// Add styles
+const styles = document.createElement('style');
+styles.textContent = `
+    .verdict-banner {
+        position: absolute;
+        top: 10px;
+        left: 10px;
+        max-width: 60%;
+        padding: 6px 12px;
+        border-radius: 4px;
+        border-left: 4px solid;
+        background: #2d2d2d;
+        color: #d4d4d4;
+        font-family: 'JetBrains Mono', monospace;
+        font-size: 12px;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4);
+        z-index: 1000;
+    }
+
+    .verdict-banner .verdict-title {
+        font-weight: bold;
+    }
+
+    .verdict-banner.correct { border-color: #4CAF50; }
+    .verdict-banner.correct .verdict-title { color: #4CAF50; }
+
+    .verdict-banner.too-slow,
+    .verdict-banner.over-budget { border-color: #FF9800; }
+    .verdict-banner.too-slow .verdict-title,
+    .verdict-banner.over-budget .verdict-title { color: #FF9800; }
+
+    .verdict-banner.wrong,
+    .verdict-banner.tests-failed,
+    .verdict-banner.check-failed { border-color: #f44336; }
+    .verdict-banner.wrong .verdict-title,
+    .verdict-banner.tests-failed .verdict-title,
+    .verdict-banner.check-failed .verdict-title { color: #f44336; }
+
+    .verdict-banner.throttled,
+    .verdict-banner.no-answer,
+    .verdict-banner.backend-limit { border-color: #FFB300; }
+    .verdict-banner.throttled .verdict-title,
+    .verdict-banner.no-answer .verdict-title,
+    .verdict-banner.backend-limit .verdict-title { color: #FFB300; }
+`;
+document.head.appendChild(styles);
+
+export const VERDICT_TITLES = {
+    "correct": "Correct",
+    "too-slow": "Correct but Too Slow",
+    "over-budget": "Over Budget",
+    "backend-limit": "Stopped at Backend Limit",
+    "wrong": "Wrong Answer",
+    "tests-failed": "Tests Failed",
+    "no-answer": "No Answer",
+    "throttled": "Not Checked",
+    "check-failed": "Check Failed"
+};
+
+/**
+ * Shows a verdict banner
+ * @param {HTMLElement} editorElement - The output editor element to attach the banner to
+ * @param {{verdict: string, message: string}} result - The answer check result
+ */
+export function show(editorElement, result) {
+    if (!editorElement) {
+        console.error('Editor element is required to show a verdict');
+        return;
+    }
+
+    remove();
+
+    const banner = document.createElement('div');
+    banner.className = `verdict-banner ${result.verdict}`;
+
+    const title = document.createElement('div');
+    title.className = 'verdict-title';
+    title.textContent = VERDICT_TITLES[result.verdict] || result.verdict;
+    banner.appendChild(title);
+
+    if (result.message) {
+        const message = document.createElement('div');
+        message.className = 'verdict-message';
+        message.textContent = result.message;
+        banner.appendChild(message);
+    }
+
+    editorElement.style.position = 'relative';
+    editorElement.appendChild(banner);
+}
+
+/**
+ * Removes the verdict banner if it exists
+ */
+export function remove() {
+    const banner = document.querySelector('.verdict-banner');
+    if (banner) {
+        banner.remove();
+    }
+}
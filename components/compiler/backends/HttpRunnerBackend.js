@@ -0,0 +1,115 @@
+/**
+ * HTTP Runner Backend
+ *
+ * Execution backend for a custom runner service. The service implements two
+ * endpoints relative to its configured URL:
+ *
+ * - GET  /languages  → [{id, name}, ...]
+ * - POST /run        → body: a Judge0 submission with base64 encoded
+ *                      source_code and stdin; response: a Judge0 style result
+ *                      {status: {id, description}, stdout, stderr, compile_output, time, memory}
+ *                      with base64 encoded outputs (status id 3 means success)
+ *
+ * The optional token is sent as "Authorization: Bearer <token>". Runs that
+ * take longer than timeoutSeconds (default 120) are abandoned.
+ */
+
+// Constants
+const HTTP_RUNNER = "HTTP_RUNNER";
+const DEFAULT_TIMEOUT_SECONDS = 120;
+
+/**
+ * Sends a JSON request to the runner
+ * @param {string} url - The request URL
+ * @param {Object} headers - The request headers
+ * @param {Object} [body] - The JSON body; the request is a GET without one
+ * @param {{signal?: AbortSignal, timeoutSeconds?: number}} [options] - Abort signal and time limit
+ * @returns {Promise<*>} The parsed response; rejects with a jqXHR-like error, or the signal's reason
+ */
+async function requestJson(url, headers, body, { signal, timeoutSeconds = DEFAULT_TIMEOUT_SECONDS } = {}) {
+    const timeout = AbortSignal.timeout(timeoutSeconds * 1000);
+    let response;
+    try {
+        response = await fetch(url, {
+            method: body ? "POST" : "GET",
+            headers: body ? { ...headers, "Content-Type": "application/json" } : headers,
+            body: body ? JSON.stringify(body) : undefined,
+            signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+        });
+    } catch (error) {
+        if (signal?.aborted) {
+            throw signal.reason;
+        }
+        if (timeout.aborted) {
+            throw { status: 504, statusText: `No result after ${timeoutSeconds} seconds.` };
+        }
+        throw { status: 0, statusText: `Runner unreachable (${error.message})` };
+    }
+    if (!response.ok) {
+        throw { status: response.status, statusText: response.statusText };
+    }
+    return response.json();
+}
+
+/**
+ * Creates a backend for a custom HTTP runner
+ * @param {{url: string, token?: string, timeoutSeconds?: number}} config - The backend configuration
+ * @returns {Object} The backend
+ */
+export function createHttpRunnerBackend(config) {
+    const baseUrl = config.url.replace(/\/+$/, "");
+    const headers = config.token ? { "Authorization": `Bearer ${config.token}` } : {};
+    const timeoutSeconds = config.timeoutSeconds || DEFAULT_TIMEOUT_SECONDS;
+
+    return {
+        name: `HTTP runner (${baseUrl})`,
+        defaultLanguage: {
+            flavor: HTTP_RUNNER,
+            language_id: 71,
+            name: "Python (3.8.1)"
+        },
+
+        /**
+         * Lists the languages offered by the runner
+         * @returns {Promise<Array<{flavor: string, language_id: number, name: string}>>} The languages
+         */
+        async listLanguages() {
+            try {
+                const list = await requestJson(`${baseUrl}/languages`, headers);
+                return list.map(language => ({ flavor: HTTP_RUNNER, language_id: language.id, name: language.name }));
+            } catch (error) {
+                console.error("Failed to load runner languages:", error);
+                return [];
+            }
+        },
+
+        /**
+         * Runs one submission
+         * @param {Object} submission - The Judge0 submission (base64 encoded fields)
+         * @param {string} flavor - Unused; the runner has a single flavor
+         * @param {{onStatus?: function(Object): void, signal?: AbortSignal}} [options] - Progress callback and abort signal
+         * @returns {Promise<Object>} The Judge0 style result
+         */
+        async execute(submission, flavor, { onStatus = () => {}, signal } = {}) {
+            onStatus({ id: 2, description: "Processing" });
+            return requestJson(`${baseUrl}/run`, headers, submission, { signal, timeoutSeconds });
+        },
+
+        /**
+         * Runs several submissions one after another
+         * @param {Array<Object>} submissions - The Judge0 submissions (base64 encoded fields)
+         * @param {string} flavor - Unused; the runner has a single flavor
+         * @param {{onProgress?: function(number, number): void, signal?: AbortSignal}} [options] - Called with the
+         *        finished and total counts; abort signal
+         * @returns {Promise<Array<Object>>} The results, in submission order
+         */
+        async executeBatch(submissions, flavor, { onProgress = () => {}, signal } = {}) {
+            const results = [];
+            for (const submission of submissions) {
+                results.push(await requestJson(`${baseUrl}/run`, headers, submission, { signal, timeoutSeconds }));
+                onProgress(results.length, submissions.length);
+            }
+            return results;
+        }
+    };
+}
@@ -0,0 +1,301 @@
+/**
+ * Judge0 Backend
+ *
+ * Execution backend for a Judge0 instance: either the public Judge0 CE and
+ * Extra CE instances, or a self-hosted Judge0 at a configurable URL.
+ * Submissions are created asynchronously and polled with exponential
+ * backoff until they finish or the overall timeout passes; alternatively a
+ * single submission can wait for its result in one request (wait=true).
+ * Every request can be abandoned through an AbortSignal.
+ */
+
+// Constants
+const CE = "CE";
+const EXTRA_CE = "EXTRA_CE";
+const SELF_HOSTED = "SELF_HOSTED";
+
+const AUTHENTICATED_BASE_URL = {
+    [CE]: "https://judge0-ce.p.sulu.sh",
+    [EXTRA_CE]: "https://judge0-extra-ce.p.sulu.sh"
+};
+
+const UNAUTHENTICATED_BASE_URL = {
+    [CE]: "https://ce.judge0.com",
+    [EXTRA_CE]: "https://extra-ce.judge0.com"
+};
+
+export const POLLING = {
+    initialDelayMs: 100,    // Delay before the first poll
+    backoffFactor: 1.5,     // Each delay is this much longer than the previous one
+    maxDelayMs: 3000,       // Delays stop growing here
+    timeoutSeconds: 120     // Give up on a submission after this long (configurable)
+};
+const RESULT_FIELDS = "token,status,stdout,stderr,compile_output,time,memory";
+
+// The largest limits a stock Judge0 instance accepts (MAX_CPU_TIME_LIMIT,
+// MAX_WALL_TIME_LIMIT and MAX_MEMORY_LIMIT in judge0.conf); larger ones are
+// rejected. Self-hosted instances configured otherwise set maxLimits.
+export const MAX_LIMITS = {
+    cpuTime: 15,        // Seconds
+    wallTime: 20,       // Seconds
+    memory: 512000      // KB
+};
+
+/**
+ * Sends a request with jQuery and wraps it in a promise
+ * @param {Object} options - The $.ajax options
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<{data: *, xhr: Object}>} The response; rejects with the jqXHR object,
+ *          or with the signal's reason if aborted
+ */
+function request(options, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            reject(signal.reason);  // Before abort(), which reports its own error
+            jqXHR.abort();
+        };
+        const jqXHR = $.ajax({
+            ...options,
+            success: (data, textStatus, xhr) => {
+                signal?.removeEventListener("abort", onAbort);
+                resolve({ data, xhr });
+            },
+            error: xhr => {
+                signal?.removeEventListener("abort", onAbort);
+                reject(xhr);
+            }
+        });
+        signal?.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+/**
+ * Waits for the given time
+ * @param {number} ms - The time to wait in milliseconds
+ * @param {AbortSignal} [signal] - Cuts the wait short
+ * @returns {Promise<void>} Resolves after the wait; rejects with the signal's reason if aborted
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        signal?.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+/**
+ * Creates a Judge0 backend
+ * @param {Object} options - The backend options
+ * @param {string} options.name - The display name
+ * @param {Array<string>} options.flavors - The flavors (instances) whose languages are offered
+ * @param {function(string): string} options.submitUrl - Returns the base URL for creating submissions of a flavor
+ * @param {function(string): string} options.fetchUrl - Returns the base URL for fetching submissions of a flavor
+ * @param {Object} options.submitHeaders - Extra headers for creating submissions, e.g. for authentication
+ * @param {Object} options.fetchHeaders - Extra headers for fetching submissions and languages
+ * @param {{flavor: string, language_id: number, name: string}} options.defaultLanguage - The language to
+ *        use when none is selected or the language list cannot be loaded
+ * @param {number} [options.timeoutSeconds] - How long to poll before giving up
+ * @param {boolean} [options.wait] - Whether single submissions wait for their result (wait=true)
+ * @param {{cpuTime: number, wallTime: number, memory: number}} [options.maxLimits] - The largest
+ *        limits the instances accept, in seconds and KB
+ * @returns {Object} The backend
+ */
+function createJudge0Backend({ name, flavors, submitUrl, fetchUrl, submitHeaders, fetchHeaders, defaultLanguage, timeoutSeconds = POLLING.timeoutSeconds, wait = false, maxLimits = MAX_LIMITS }) {
+    /**
+     * Polls a URL with exponential backoff until the submissions it returns have finished
+     * @param {string} url - The URL to poll
+     * @param {string|null} region - The Judge0 region that received the submission
+     * @param {function(*): boolean} isPending - Checks whether a response is still in progress
+     * @param {function(*): void} onPoll - Called with every response that is still in progress
+     * @param {AbortSignal} [signal] - Abandons polling
+     * @returns {Promise<*>} The final response
+     */
+    async function poll(url, region, isPending, onPoll, signal) {
+        const deadline = Date.now() + timeoutSeconds * 1000;
+        let delay = POLLING.initialDelayMs;
+
+        while (true) {
+            await sleep(Math.min(delay, Math.max(0, deadline - Date.now())), signal);
+            const { data } = await request({
+                url,
+                headers: region ? { ...fetchHeaders, "X-Judge0-Region": region } : fetchHeaders
+            }, signal);
+            if (!isPending(data)) {
+                return data;
+            }
+            if (Date.now() >= deadline) {
+                throw {
+                    statusText: `No result after ${timeoutSeconds} seconds.`,
+                    status: 504
+                };
+            }
+            onPoll(data);
+            delay = Math.min(delay * POLLING.backoffFactor, POLLING.maxDelayMs);
+        }
+    }
+
+    return {
+        name,
+        defaultLanguage,
+        maxLimits,
+
+        /**
+         * Lists the languages offered by the backend's instances.
+         * Instances that fail to respond are skipped.
+         * @returns {Promise<Array<{flavor: string, language_id: number, name: string}>>} The languages
+         */
+        async listLanguages() {
+            const results = await Promise.allSettled(flavors.map(async flavor => {
+                const { data } = await request({ url: `${fetchUrl(flavor)}/languages`, headers: fetchHeaders });
+                return data.map(language => ({ flavor, language_id: language.id, name: language.name }));
+            }));
+            return results.flatMap(result => {
+                if (result.status === "rejected") {
+                    console.error(`Failed to load ${name} languages:`, result.reason);
+                    return [];
+                }
+                return result.value;
+            });
+        },
+
+        /**
+         * Runs one submission
+         * @param {Object} submission - The Judge0 submission (base64 encoded fields)
+         * @param {string} flavor - The flavor to run it on
+         * @param {{onStatus?: function(Object): void, signal?: AbortSignal}} [options] - Progress callback and abort signal
+         * @returns {Promise<Object>} The Judge0 result; rejects with a jqXHR-like error, or the signal's reason
+         */
+        async execute(submission, flavor, { onStatus = () => {}, signal } = {}) {
+            const { data, xhr } = await request({
+                url: `${submitUrl(flavor)}/submissions?base64_encoded=true&wait=${wait}`,
+                type: "POST",
+                contentType: "application/json",
+                data: JSON.stringify(submission),
+                headers: {
+                    ...submitHeaders,
+                    "Accept": "application/json"
+                },
+                timeout: wait ? timeoutSeconds * 1000 : 0
+            }, signal);
+            console.log(`Your submission token is: ${data.token}`);
+
+            // Instances with wait disabled return just the token, so poll for those too
+            const isPending = result => !result.status || result.status.id <= 2; // In Queue or Processing
+            if (!isPending(data)) {
+                return data;
+            }
+
+            return poll(
+                `${fetchUrl(flavor)}/submissions/${data.token}?base64_encoded=true`,
+                xhr.getResponseHeader("X-Judge0-Region"),
+                isPending,
+                result => onStatus(result.status),
+                signal
+            );
+        },
+
+        /**
+         * Runs several submissions as one batch
+         * @param {Array<Object>} submissions - The Judge0 submissions (base64 encoded fields)
+         * @param {string} flavor - The flavor to run them on
+         * @param {{onProgress?: function(number, number): void, signal?: AbortSignal}} [options] - Called with the
+         *        finished and total counts; abort signal
+         * @returns {Promise<Array<Object>>} The Judge0 results, in submission order
+         */
+        async executeBatch(submissions, flavor, { onProgress = () => {}, signal } = {}) {
+            const { data, xhr } = await request({
+                url: `${submitUrl(flavor)}/submissions/batch?base64_encoded=true`,
+                type: "POST",
+                contentType: "application/json",
+                data: JSON.stringify({ submissions }),
+                headers: {
+                    ...submitHeaders,
+                    "Accept": "application/json"
+                }
+            }, signal);
+
+            const tokens = data.map(submission => submission.token);
+            if (tokens.some(token => !token)) {
+                throw {
+                    statusText: "Judge0 rejected one or more submissions.",
+                    status: 422
+                };
+            }
+
+            const pendingCount = response => response.submissions.filter(result => result.status.id <= 2).length;
+            const response = await poll(
+                `${fetchUrl(flavor)}/submissions/batch?tokens=${tokens.join(",")}&base64_encoded=true&fields=${RESULT_FIELDS}`,
+                xhr.getResponseHeader("X-Judge0-Region"),
+                response => pendingCount(response) > 0,
+                response => onProgress(tokens.length - pendingCount(response), tokens.length),
+                signal
+            );
+            return response.submissions;
+        }
+    };
+}
+
+/**
+ * Creates a backend for the public Judge0 CE and Extra CE instances
+ * @param {{apiKey?: string, timeoutSeconds?: number, wait?: boolean}} config - The backend configuration
+ * @returns {Object} The backend
+ */
+export function createPublicJudge0Backend(config) {
+    return createJudge0Backend({
+        name: "Judge0 (public)",
+        flavors: [CE, EXTRA_CE],
+        submitUrl: flavor => AUTHENTICATED_BASE_URL[flavor],
+        fetchUrl: flavor => UNAUTHENTICATED_BASE_URL[flavor],
+        submitHeaders: config.apiKey ? { "Authorization": `Bearer ${config.apiKey}` } : {}, // Get yours at https://platform.sulu.sh/apis/judge0
+        fetchHeaders: {},
+        defaultLanguage: {
+            flavor: EXTRA_CE,
+            language_id: 25,  // Python for ML (3.11.2)
+            name: "Python for ML (3.11.2)"
+        },
+        timeoutSeconds: config.timeoutSeconds,
+        wait: config.wait
+    });
+}
+
+/**
+ * Creates a backend for a self-hosted Judge0 instance
+ * @param {{url: string, token?: string, timeoutSeconds?: number, wait?: boolean, maxLimits?: Object}} config -
+ *        The backend configuration; the token is sent in Judge0's default authentication header,
+ *        X-Auth-Token, and maxLimits overrides some or all of MAX_LIMITS for instances that allow more
+ * @returns {Object} The backend
+ */
+export function createSelfHostedJudge0Backend(config) {
+    const baseUrl = config.url.replace(/\/+$/, "");
+    const headers = config.token ? { "X-Auth-Token": config.token } : {};
+    return createJudge0Backend({
+        name: `Judge0 (${baseUrl})`,
+        flavors: [SELF_HOSTED],
+        submitUrl: () => baseUrl,
+        fetchUrl: () => baseUrl,
+        submitHeaders: headers,
+        fetchHeaders: headers,
+        defaultLanguage: {
+            flavor: SELF_HOSTED,
+            language_id: 71,  // Python (3.8.1) in a stock Judge0 CE installation
+            name: "Python (3.8.1)"
+        },
+        timeoutSeconds: config.timeoutSeconds,
+        wait: config.wait,
+        maxLimits: { ...MAX_LIMITS, ...config.maxLimits }
+    });
+}
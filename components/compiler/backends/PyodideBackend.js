@@ -0,0 +1,203 @@
+/**
+ * Pyodide Backend
+ *
+ * Execution backend that runs Python in the browser with the vendored
+ * Pyodide build (see PyodideWorker.js), for working offline or while the
+ * public Judge0 instances are rate-limiting. Results are returned in the
+ * same Judge0 shape as the other backends. Only the standard library is
+ * available, and memory usage is not measured.
+ */
+
+import { encode, decode } from "../../../core/utils/Base64.js";
+
+// Constants
+const PYODIDE = "PYODIDE";
+const WORKER_URL = new URL("./PyodideWorker.js", import.meta.url);
+const DEFAULT_TIME_LIMIT_S = 120;   // Twice the one-minute rule, so slow solutions still finish
+const LOAD_TIMEOUT_S = 60;          // Loading the interpreter takes a few seconds; a hung load is abandoned
+
+const STATUS = {
+    loading: { id: 1, description: "Loading Python" },
+    processing: { id: 2, description: "Processing" },
+    accepted: { id: 3, description: "Accepted" },
+    timeLimitExceeded: { id: 5, description: "Time Limit Exceeded" },
+    runtimeError: { id: 11, description: "Runtime Error (NZEC)" }
+};
+
+// State variables
+let worker = null;
+let nextRequestId = 1;
+
+/**
+ * Runs one program in the worker, starting the worker if needed.
+ * The worker is terminated (and restarted on the next run) when the
+ * program exceeds its time limit, since Python cannot be interrupted,
+ * when the interpreter fails to load or does not load in time, and when it
+ * crashes during a run, which may leave it unusable.
+ * @param {{source: string, stdin: string, args: string, files: string, redirectStderrToStdout: boolean}} request - The program
+ * @param {number} timeLimit - The time limit in seconds, excluding interpreter start-up
+ * @param {function(Object): void} onStatus - Called with Judge0 style status updates
+ * @param {AbortSignal} [signal] - Stops the program by terminating the worker
+ * @returns {Promise<Object>} The Judge0 style result; rejects with the signal's reason if aborted
+ */
+function runInWorker(request, timeLimit, onStatus, signal) {
+    if (signal?.aborted) {
+        return Promise.reject(signal.reason);
+    }
+
+    if (!worker) {
+        worker = new Worker(WORKER_URL, { type: "module" });
+        onStatus(STATUS.loading);
+    }
+
+    const current = worker;
+    const id = nextRequestId++;
+
+    return new Promise((resolve, reject) => {
+        const finish = () => {
+            clearTimeout(timer);
+            current.removeEventListener("message", handleMessage);
+            current.removeEventListener("error", handleError);
+            signal?.removeEventListener("abort", handleAbort);
+        };
+
+        const stopWorker = () => {
+            finish();
+            current.terminate();
+            worker = null;
+        };
+
+        const handleAbort = () => {
+            stopWorker();
+            reject(signal.reason);
+        };
+
+        // Until the interpreter is ready, only the load is timed
+        let runStart = null;
+        let timer = setTimeout(() => {
+            stopWorker();
+            reject({ status: 504, statusText: `Python did not load within ${LOAD_TIMEOUT_S} seconds` });
+        }, LOAD_TIMEOUT_S * 1000);
+
+        const handleMessage = event => {
+            const message = event.data;
+            if (message.id !== id) {
+                return;
+            }
+            if (message.type === "ready") {
+                onStatus(STATUS.processing);
+                runStart = performance.now();
+                clearTimeout(timer);
+                timer = setTimeout(() => {
+                    stopWorker();
+                    resolve(toResult(STATUS.timeLimitExceeded, "", "", timeLimit));
+                }, timeLimit * 1000);
+            } else if (message.type === "result") {
+                finish();
+                const status = message.exitCode === 0 ? STATUS.accepted : STATUS.runtimeError;
+                resolve(toResult(status, message.stdout, message.stderr, message.time));
+            } else if (message.type === "crash") {
+                // The program's run failed rather than the load, so it is reported like a runtime error
+                stopWorker();
+                resolve(toResult(STATUS.runtimeError, "", `Python crashed (${message.message})`, (performance.now() - runStart) / 1000));
+            } else {
+                // A fresh worker on the next run retries the load
+                stopWorker();
+                reject({ status: 500, statusText: `Python failed to load (${message.message})` });
+            }
+        };
+
+        const handleError = event => {
+            stopWorker();
+            reject({ status: 500, statusText: `Python worker failed (${event.message || "unknown error"})` });
+        };
+
+        current.addEventListener("message", handleMessage);
+        current.addEventListener("error", handleError);
+        signal?.addEventListener("abort", handleAbort, { once: true });
+        current.postMessage({ id, ...request });
+    });
+}
+
+/**
+ * Builds a Judge0 style result
+ * @param {Object} status - The Judge0 status
+ * @param {string} stdout - The program's standard output
+ * @param {string} stderr - The program's standard error
+ * @param {number} time - The run time in seconds
+ * @returns {Object} The result, with base64 encoded outputs
+ */
+function toResult(status, stdout, stderr, time) {
+    return {
+        token: null,
+        status,
+        stdout: stdout ? encode(stdout) : null,
+        stderr: stderr ? encode(stderr) : null,
+        compile_output: null,
+        time: time.toFixed(3),
+        memory: null
+    };
+}
+
+/**
+ * Creates the in-browser Python backend
+ * @returns {Object} The backend
+ */
+export function createPyodideBackend() {
+    const defaultLanguage = {
+        flavor: PYODIDE,
+        language_id: 1,
+        name: "Python (3.13, in browser)"
+    };
+
+    /**
+     * Runs one submission
+     * @param {Object} submission - The Judge0 submission (base64 encoded fields)
+     * @param {string} flavor - Unused; there is a single flavor
+     * @param {{onStatus?: function(Object): void, signal?: AbortSignal}} [options] - Progress callback and abort signal
+     * @returns {Promise<Object>} The Judge0 style result
+     */
+    function execute(submission, flavor, { onStatus = () => {}, signal } = {}) {
+        const request = {
+            source: decode(submission.source_code),
+            stdin: decode(submission.stdin),
+            args: submission.command_line_arguments || "",
+            files: submission.additional_files || "",
+            redirectStderrToStdout: !!submission.redirect_stderr_to_stdout
+        };
+        const timeLimit = submission.wall_time_limit || submission.cpu_time_limit || DEFAULT_TIME_LIMIT_S;
+        return runInWorker(request, timeLimit, onStatus, signal);
+    }
+
+    return {
+        name: "Python (in browser)",
+        defaultLanguage,
+
+        /**
+         * Lists the single language this backend offers
+         * @returns {Promise<Array<{flavor: string, language_id: number, name: string}>>} The languages
+         */
+        async listLanguages() {
+            return [defaultLanguage];
+        },
+
+        execute,
+
+        /**
+         * Runs several submissions one after another in the same interpreter
+         * @param {Array<Object>} submissions - The Judge0 submissions (base64 encoded fields)
+         * @param {string} flavor - Unused; there is a single flavor
+         * @param {{onProgress?: function(number, number): void, signal?: AbortSignal}} [options] - Called with the
+         *        finished and total counts; abort signal
+         * @returns {Promise<Array<Object>>} The results, in submission order
+         */
+        async executeBatch(submissions, flavor, { onProgress = () => {}, signal } = {}) {
+            const results = [];
+            for (const submission of submissions) {
+                results.push(await execute(submission, flavor, { signal }));
+                onProgress(results.length, submissions.length);
+            }
+            return results;
+        }
+    };
+}
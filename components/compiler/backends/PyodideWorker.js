@@ -0,0 +1,150 @@
+/**
+ * Pyodide Worker
+ *
+ * Module Web Worker that runs Python programs with the vendored Pyodide
+ * (CPython compiled to WebAssembly), so code runs without a network
+ * connection. The interpreter is loaded once and reused for every run;
+ * each program gets fresh globals, its own stdin and captured output.
+ *
+ * Messages in:  {id, source, stdin, args, files, redirectStderrToStdout}
+ * Messages out: {id, type: "ready"} once the interpreter has loaded, then
+ *               {id, type: "result", stdout, stderr, exitCode, time},
+ *               {id, type: "error", message} if the interpreter failed to load, or
+ *               {id, type: "crash", message} if the interpreter itself failed
+ *               during the run (e.g. out of memory); Python exceptions in the
+ *               program end with a traceback and a nonzero exitCode instead
+ */
+
+import { loadPyodide } from "../../../vendor/pyodide-0.28.3/pyodide.mjs";
+import { MAIN_FILE } from "../Harness.js";
+
+// Runs the program as __main__ in the main file (named as in Judge0) and
+// prints tracebacks without the harness frame. Like Judge0, the additional
+// files (a base64 encoded zip) are extracted into the program's working
+// directory, which is fresh for every run so helper modules are re-imported.
+// Returns the exit code.
+const HARNESS = `
+import base64, importlib, io, linecache, os, shlex, shutil, sys, tempfile, traceback, zipfile
+
+def __euler_run(source, args, files, main_file):
+    workdir = tempfile.mkdtemp()
+    if files:
+        zipfile.ZipFile(io.BytesIO(base64.b64decode(files))).extractall(workdir)
+    home = os.getcwd()
+    os.chdir(workdir)
+    sys.path.insert(0, workdir)
+    importlib.invalidate_caches()
+    sys.argv = [main_file, *shlex.split(args)]
+    linecache.cache[main_file] = (len(source), None, source.splitlines(True), main_file)
+    scope = {"__name__": "__main__", "__file__": os.path.join(workdir, main_file), "__builtins__": __builtins__}
+    try:
+        exec(compile(source, main_file, "exec"), scope)
+    except SystemExit as exit:
+        if exit.code is None or isinstance(exit.code, int):
+            return exit.code or 0
+        print(exit.code, file=sys.stderr)
+        return 1
+    except BaseException:
+        error_type, error, tb = sys.exc_info()
+        traceback.print_exception(error_type, error, tb.tb_next)
+        return 1
+    finally:
+        sys.stdout.flush()
+        sys.stderr.flush()
+        sys.path.remove(workdir)
+        for name, module in list(sys.modules.items()):
+            if (getattr(module, "__file__", None) or "").startswith(workdir):
+                del sys.modules[name]
+        os.chdir(home)
+        shutil.rmtree(workdir, ignore_errors=True)
+    return 0
+`;
+
+let pyodidePromise = null;
+
+/**
+ * Loads the interpreter and the harness on first use; a failed load is
+ * retried on the next call
+ * @returns {Promise<Object>} The Pyodide instance
+ */
+function getPyodide() {
+    if (!pyodidePromise) {
+        pyodidePromise = loadPyodide().then(pyodide => {
+            pyodide.runPython(HARNESS);
+            return pyodide;
+        }, error => {
+            pyodidePromise = null;
+            throw error;
+        });
+    }
+    return pyodidePromise;
+}
+
+/**
+ * Creates an output stream that decodes the bytes Python writes
+ * @param {function(string): void} append - Receives the decoded text
+ * @returns {{write: function(Uint8Array): number}} The stream
+ */
+function createStream(append) {
+    const decoder = new TextDecoder();
+    return {
+        write(buffer) {
+            append(decoder.decode(buffer, { stream: true }));
+            return buffer.length;
+        }
+    };
+}
+
+/**
+ * Runs one program
+ * @param {{source: string, stdin: string, args: string, files: string, redirectStderrToStdout: boolean}} request - The
+ *        program and its input; files is a base64 encoded zip, or empty
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number, time: number}>} The result; time in seconds
+ */
+async function run({ source, stdin, args, files, redirectStderrToStdout }) {
+    const pyodide = await getPyodide();
+    let stdout = "";
+    let stderr = "";
+    let input = stdin || "";
+
+    pyodide.setStdin({
+        stdin: () => {
+            const text = input;
+            input = null;  // Everything is read at once; null signals end of input
+            return text || null;
+        }
+    });
+    pyodide.setStdout(createStream(text => { stdout += text; }));
+    pyodide.setStderr(createStream(text => {
+        if (redirectStderrToStdout) {
+            stdout += text;
+        } else {
+            stderr += text;
+        }
+    }));
+
+    const runner = pyodide.globals.get("__euler_run");
+    const start = performance.now();
+    try {
+        const exitCode = runner(source, args || "", files || "", MAIN_FILE);
+        return { stdout, stderr, exitCode, time: (performance.now() - start) / 1000 };
+    } finally {
+        runner.destroy();
+    }
+}
+
+self.onmessage = async event => {
+    const { id } = event.data;
+    try {
+        await getPyodide();
+    } catch (error) {
+        self.postMessage({ id, type: "error", message: error.message });
+        return;
+    }
+    self.postMessage({ id, type: "ready" });
+    try {
+        self.postMessage({ id, type: "result", ...(await run(event.data)) });
+    } catch (error) {
+        self.postMessage({ id, type: "crash", message: error.message });
+    }
+};
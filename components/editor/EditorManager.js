@@ -1,12 +1,17 @@
 // Editor Manager for handling Monaco editor instances and configurations
 import * as CodeChatButton from "../chat/CodeChatButton.js";
 import * as CodeCompletionManager from "../codeCompletion/CodeCompletionManager.js";
+import * as WorkspaceTabs from "./WorkspaceTabs.js";
+import * as RichOutput from "../output/RichOutput.js";
 
 let sourceEditor;
 let stdoutEditor;
+let stdinEditor;
+let $commandLineArguments;
 let descriptionEditor;
 let fontSize = 13;
 let cleanupCodeChat = null;
+let answerDecorations = null;
 
 export function initializeEditors(layout) {
     // Register editor components with the layout
@@ -25,7 +30,12 @@ export function initializeEditors(layout) {
     });
 
     layout.registerComponent("source", function (container, state) {
-        sourceEditor = monaco.editor.create(container.getElement()[0], {
+        const $element = container.getElement().addClass("source-panel");
+        const $tabs = $(`<div class="workspace-tabs"></div>`);
+        const $editorElement = $(`<div class="source-editor"></div>`);
+        $element.append($tabs, $editorElement);
+
+        sourceEditor = monaco.editor.create($editorElement[0], {
             automaticLayout: true,
             scrollBeyondLastLine: true,
             readOnly: state.readOnly,
@@ -40,6 +50,9 @@ export function initializeEditors(layout) {
             padding: { top: 20 }
         });
 
+        // Initialize the helper file tabs
+        WorkspaceTabs.initialize(sourceEditor, $tabs[0]);
+
         // Initialize code chat button
         cleanupCodeChat = CodeChatButton.initialize(sourceEditor, container);
 
@@ -66,6 +79,25 @@ export function initializeEditors(layout) {
                 enabled: false
             }
         });
+        RichOutput.initialize(stdoutEditor);
+    });
+
+    layout.registerComponent("stdin", function (container, state) {
+        const $element = container.getElement().addClass("stdin-panel");
+        $commandLineArguments = $(`<input type="text" class="stdin-arguments" placeholder="Command line arguments, e.g. --limit 1000 data.txt" spellcheck="false">`);
+        const $editorElement = $(`<div class="stdin-editor"></div>`);
+        $element.append($("<div class=\"stdin-arguments-bar\"></div>").append($commandLineArguments), $editorElement);
+
+        stdinEditor = monaco.editor.create($editorElement[0], {
+            automaticLayout: true,
+            scrollBeyondLastLine: false,
+            readOnly: state.readOnly,
+            language: "plaintext",
+            fontFamily: "JetBrains Mono",
+            minimap: {
+                enabled: false
+            }
+        });
     });
 }
 
@@ -73,18 +105,39 @@ export function setFontSizeForAllEditors(newFontSize) {
     fontSize = newFontSize;
     sourceEditor.updateOptions({ fontSize });
     stdoutEditor.updateOptions({ fontSize });
+    stdinEditor.updateOptions({ fontSize });
     descriptionEditor.updateOptions({ fontSize });
+    RichOutput.setFontSize(fontSize);
+}
+
+/**
+ * Sets the language mode of the main source file
+ * @param {string} mode - The Monaco language mode, e.g. "python" or "cpp"
+ */
+export function setLanguage(mode) {
+    monaco.editor.setModelLanguage(WorkspaceTabs.getMainModel(), mode);
 }
 
-export function setLanguage() {
-    monaco.editor.setModelLanguage(sourceEditor.getModel(), 'python');
+/**
+ * Registers a listener for changes to the source or its helper files
+ * @param {function(): void} listener - Called after every change
+ */
+export function onSourceChange(listener) {
+    sourceEditor.onDidChangeModelContent(listener);
+    WorkspaceTabs.onChange(listener);
 }
 
+/**
+ * Returns the main source file, whichever tab is open
+ * @returns {string} The source code
+ */
 export function getSourceValue() {
-    return sourceEditor.getValue();
+    return WorkspaceTabs.getMainModel().getValue();
 }
 
 export function setSourceValue(value) {
+    WorkspaceTabs.showMain();
+
     // Ensure proper line endings and encoding
     const formattedValue = value
         .replace(/\r\n/g, '\n')  // Normalize line endings
@@ -93,8 +146,107 @@ export function setSourceValue(value) {
     sourceEditor.setValue(formattedValue);
 }
 
-export function setStdoutValue(value) {
+/**
+ * Returns the helper files shipped next to the main source
+ * @returns {Array<{name: string, content: string}>} The files
+ */
+export function getAdditionalFiles() {
+    return WorkspaceTabs.getFiles();
+}
+
+/**
+ * Replaces the helper files shipped next to the main source
+ * @param {Array<{name: string, content: string}>} files - The files
+ */
+export function setAdditionalFiles(files) {
+    WorkspaceTabs.setFiles(files);
+}
+
+/**
+ * Returns the program input from the Stdin panel
+ * @returns {string} The input
+ */
+export function getStdinValue() {
+    return stdinEditor.getValue();
+}
+
+/**
+ * Sets the program input in the Stdin panel
+ * @param {string} value - The input
+ */
+export function setStdinValue(value) {
+    stdinEditor.setValue(value);
+}
+
+/**
+ * Returns the command line arguments from the Stdin panel
+ * @returns {string} The arguments, as typed
+ */
+export function getCommandLineArguments() {
+    return $commandLineArguments.val().trim();
+}
+
+/**
+ * Sets the command line arguments in the Stdin panel
+ * @param {string} value - The arguments
+ */
+export function setCommandLineArguments(value) {
+    $commandLineArguments.val(value);
+}
+
+/**
+ * Registers a listener for edits to the program input or arguments
+ * @param {function(): void} listener - Called after every change
+ */
+export function onInputChange(listener) {
+    stdinEditor.onDidChangeModelContent(listener);
+    $commandLineArguments.on("input", listener);
+}
+
+/**
+ * Shows program output in the output panel
+ * @param {string} value - The output
+ * @param {{resultSet?: boolean}} [options] - resultSet: the output is an SQL result set, shown as a grid
+ */
+export function setStdoutValue(value, options = {}) {
+    clearStdoutAnswerHighlight();
     stdoutEditor.setValue(value);
+    RichOutput.update(value, options);
+}
+
+/**
+ * Highlights the part of the output that was taken as the answer
+ * @param {number} start - The start offset in the output
+ * @param {number} end - The end offset in the output
+ */
+export function highlightStdoutAnswer(start, end) {
+    const model = stdoutEditor.getModel();
+    const from = model.getPositionAt(start);
+    const to = model.getPositionAt(end);
+
+    clearStdoutAnswerHighlight();
+    answerDecorations = stdoutEditor.createDecorationsCollection([{
+        range: new monaco.Range(from.lineNumber, from.column, to.lineNumber, to.column),
+        options: {
+            inlineClassName: "extracted-answer",
+            hoverMessage: { value: "Checked as the answer" },
+            overviewRuler: {
+                color: "#8B6B4C",
+                position: monaco.editor.OverviewRulerLane.Center
+            }
+        }
+    }]);
+    stdoutEditor.revealLineInCenterIfOutsideViewport(from.lineNumber);
+}
+
+/**
+ * Removes the answer highlight from the output
+ */
+export function clearStdoutAnswerHighlight() {
+    if (answerDecorations) {
+        answerDecorations.clear();
+        answerDecorations = null;
+    }
 }
 
 export function setDescriptionValue(value) {
@@ -118,6 +270,28 @@ export function getSourceEditor() {
     return sourceEditor;
 }
 
+/**
+ * Returns the output editor
+ * @returns {monaco.editor.IStandaloneCodeEditor} The editor
+ */
+export function getStdoutEditor() {
+    return stdoutEditor;
+}
+
+/**
+ * Opens a workspace file and moves the cursor to a line
+ * @param {string|null} fileName - The helper file's name, or null for the main file
+ * @param {number} lineNumber - The line
+ */
+export function revealSourceLocation(fileName, lineNumber) {
+    WorkspaceTabs.showFile(fileName);
+    const model = sourceEditor.getModel();
+    const line = Math.min(lineNumber, model.getLineCount());
+    sourceEditor.setPosition({ lineNumber: line, column: model.getLineFirstNonWhitespaceColumn(line) || 1 });
+    sourceEditor.revealLineInCenter(line);
+    sourceEditor.focus();
+}
+
 export function increaseFontSize() {
     setFontSizeForAllEditors(fontSize + 1);
 }
@@ -0,0 +1,42 @@
+/**
+ * Input Store Component
+ *
+ * Saves the program input (stdin) and command line arguments of each
+ * problem, so they are restored when the problem is opened again.
+ */
+
+import ls from "../../core/storage/LocalStorage.js";
+
+// Constants
+const STORAGE_KEY_PREFIX = "EULER_INPUT_";
+
+/**
+ * Returns the storage key for a problem's input
+ * @param {number} problemId - The problem ID
+ * @returns {string} The storage key
+ */
+function storageKey(problemId) {
+    return `${STORAGE_KEY_PREFIX}${problemId}`;
+}
+
+/**
+ * Loads the saved input of a problem
+ * @param {number} problemId - The problem ID
+ * @returns {{stdin: string, args: string}} The saved input; empty if there is none
+ */
+export function loadInput(problemId) {
+    const saved = ls.get(storageKey(problemId));
+    return {
+        stdin: typeof saved?.stdin === "string" ? saved.stdin : "",
+        args: typeof saved?.args === "string" ? saved.args : ""
+    };
+}
+
+/**
+ * Saves the input of a problem; empty input removes the saved entry
+ * @param {number} problemId - The problem ID
+ * @param {{stdin: string, args: string}} input - The input
+ */
+export function saveInput(problemId, input) {
+    ls.set(storageKey(problemId), input.stdin || input.args ? input : null);
+}
@@ -0,0 +1,44 @@
+/**
+ * Source Store Component
+ *
+ * Saves the source code of each problem separately for every language,
+ * so switching languages (or coming back to a problem later) restores
+ * what was written in that language.
+ */
+
+import ls from "../../core/storage/LocalStorage.js";
+
+// Constants
+const STORAGE_KEY_PREFIX = "EULER_SOURCE_";
+
+/**
+ * Returns the storage key for a problem's source in a language
+ * @param {number} problemId - The problem ID
+ * @param {{flavor: string, language_id: number}} language - The language
+ * @returns {string} The storage key
+ */
+function storageKey(problemId, language) {
+    return `${STORAGE_KEY_PREFIX}${problemId}_${language.flavor}_${language.language_id}`;
+}
+
+/**
+ * Loads the saved source of a problem in a language
+ * @param {number} problemId - The problem ID
+ * @param {{flavor: string, language_id: number}} language - The language
+ * @returns {string|null} The saved source, or null if there is none
+ */
+export function loadSource(problemId, language) {
+    const saved = ls.get(storageKey(problemId, language));
+    return typeof saved?.source === "string" ? saved.source : null;
+}
+
+/**
+ * Saves the source of a problem in a language
+ * @param {number} problemId - The problem ID
+ * @param {{flavor: string, language_id: number}} language - The language
+ * @param {string} source - The source code
+ */
+export function saveSource(problemId, language, source) {
+    // Wrapped in an object so ls does not parse sources like "42" as JSON
+    ls.set(storageKey(problemId, language), { source, savedAt: Date.now() });
+}
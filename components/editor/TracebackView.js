@@ -0,0 +1,128 @@
+/**
+ * Traceback View Component
+ *
+ * Shows a parsed Python traceback (see TracebackParser.js) in the editors:
+ * error markers with squiggles on the offending lines of the workspace
+ * files, and clickable frames in the output panel that jump to the line.
+ */
+
+import * as EditorManager from "./EditorManager.js";
+import * as WorkspaceTabs from "./WorkspaceTabs.js";
+import { fileName, describeTraceback } from "../compiler/TracebackParser.js";
+import { MAIN_FILE } from "../compiler/Harness.js";
+
+// Constants
+const MARKER_OWNER = "traceback";
+
+// State variables
+let markedModels = [];
+let links = [];                     // [{outputLine, startColumn, endColumn, file, line}]
+let linkDecorations = null;
+let clickListener = null;
+
+/**
+ * Returns the workspace file a traceback path refers to
+ * @param {string} path - The path in the traceback
+ * @returns {string|null|undefined} null for the main source, the helper file's
+ *          name, or undefined if the path is not a workspace file
+ */
+function workspaceFile(path) {
+    const name = fileName(path);
+    if (name === MAIN_FILE) {
+        return null;
+    }
+    return WorkspaceTabs.getModel(name) ? name : undefined;
+}
+
+/**
+ * Jumps to the frame printed at a position of the output, if any
+ * @param {monaco.editor.IEditorMouseEvent} event - The mouse event
+ */
+function handleOutputClick(event) {
+    const position = event.target.position;
+    if (!position) {
+        return;
+    }
+    const link = links.find(link => link.outputLine === position.lineNumber
+        && position.column >= link.startColumn && position.column <= link.endColumn);
+    if (link) {
+        EditorManager.revealSourceLocation(link.file, link.line);
+    }
+}
+
+/**
+ * Shows a traceback: marks its frames in the workspace files and makes
+ * them clickable in the output, which must already show the traceback
+ * @param {Object} traceback - The traceback, see TracebackParser.parseTraceback()
+ */
+export function show(traceback) {
+    clear();
+
+    const frames = traceback.frames
+        .map(frame => ({ ...frame, workspaceFile: workspaceFile(frame.file) }))
+        .filter(frame => frame.workspaceFile !== undefined);
+    if (frames.length === 0) {
+        return;
+    }
+
+    // The innermost frame raised the exception; the others led to it
+    const innermost = frames[frames.length - 1];
+    const markersByModel = new Map();
+    frames.forEach(frame => {
+        const model = WorkspaceTabs.getModel(frame.workspaceFile);
+        if (frame.line > model.getLineCount()) {
+            return;
+        }
+        const markers = markersByModel.get(model) || [];
+        markers.push({
+            severity: frame === innermost ? monaco.MarkerSeverity.Error : monaco.MarkerSeverity.Info,
+            message: frame === innermost ? describeTraceback(traceback) : `Called here on the way to ${traceback.type}`,
+            source: traceback.type,
+            startLineNumber: frame.line,
+            startColumn: model.getLineFirstNonWhitespaceColumn(frame.line) || 1,
+            endLineNumber: frame.line,
+            endColumn: model.getLineMaxColumn(frame.line)
+        });
+        markersByModel.set(model, markers);
+    });
+    markersByModel.forEach((markers, model) => monaco.editor.setModelMarkers(model, MARKER_OWNER, markers));
+    markedModels = [...markersByModel.keys()];
+
+    const stdoutEditor = EditorManager.getStdoutEditor();
+    const output = stdoutEditor.getModel();
+    links = frames
+        .filter(frame => frame.outputLine <= output.getLineCount())
+        .map(frame => ({
+            outputLine: frame.outputLine,
+            startColumn: frame.outputColumn,
+            endColumn: output.getLineMaxColumn(frame.outputLine),
+            file: frame.workspaceFile,
+            line: frame.line
+        }));
+    linkDecorations = stdoutEditor.createDecorationsCollection(links.map(link => ({
+        range: new monaco.Range(link.outputLine, link.startColumn, link.outputLine, link.endColumn),
+        options: {
+            inlineClassName: "traceback-link",
+            hoverMessage: { value: `Go to ${link.file || "main"}, line ${link.line}` }
+        }
+    })));
+
+    if (!clickListener) {
+        clickListener = stdoutEditor.onMouseDown(handleOutputClick);
+    }
+}
+
+/**
+ * Removes the markers and output links of the last traceback
+ */
+export function clear() {
+    markedModels
+        .filter(model => !model.isDisposed())
+        .forEach(model => monaco.editor.setModelMarkers(model, MARKER_OWNER, []));
+    markedModels = [];
+    links = [];
+    if (linkDecorations) {
+        linkDecorations.clear();
+        linkDecorations = null;
+    }
+}
@@ -0,0 +1,43 @@
+/**
+ * Workspace Store Component
+ *
+ * Saves the helper files of each problem's workspace (the files next to
+ * the main source, e.g. primes.py), so they are restored when the problem
+ * is opened again. The main source is saved by SourceStore.js.
+ */
+
+import ls from "../../core/storage/LocalStorage.js";
+
+// Constants
+const STORAGE_KEY_PREFIX = "EULER_FILES_";
+
+/**
+ * Returns the storage key for a problem's helper files
+ * @param {number} problemId - The problem ID
+ * @returns {string} The storage key
+ */
+function storageKey(problemId) {
+    return `${STORAGE_KEY_PREFIX}${problemId}`;
+}
+
+/**
+ * Loads the saved helper files of a problem
+ * @param {number} problemId - The problem ID
+ * @returns {Array<{name: string, content: string}>} The files; empty if there are none
+ */
+export function loadFiles(problemId) {
+    const saved = ls.get(storageKey(problemId));
+    if (!Array.isArray(saved?.files)) {
+        return [];
+    }
+    return saved.files.filter(file => typeof file?.name === "string" && typeof file.content === "string");
+}
+
+/**
+ * Saves the helper files of a problem; saving no files removes the entry
+ * @param {number} problemId - The problem ID
+ * @param {Array<{name: string, content: string}>} files - The files
+ */
+export function saveFiles(problemId, files) {
+    ls.set(storageKey(problemId), files.length ? { files, savedAt: Date.now() } : null);
+}
@@ -0,0 +1,324 @@
+/**
+ * Workspace Tabs Component
+ *
+ * Turns the source panel into a small workspace: the main file, which is
+ * what gets submitted as the program, plus helper files such as primes.py
+ * that are shipped next to it (see CompilerManager.js). Each file has its
+ * own Monaco model, and a tab bar above the editor switches between them.
+ */
+
+import { MAIN_FILE } from "../compiler/Harness.js";
+import { PACKAGE_NAME } from "../library/EulerUtils.js";
+
+// Constants
+const MAIN_TAB_LABEL = "main";
+const FILE_NAME_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]{0,63}$/;
+
+// State variables
+let editor = null;
+let mainModel = null;
+let files = [];             // [{name, model}], in tab order
+let activeModel = null;
+let barElement = null;
+let viewStates = new Map(); // Cursor and scroll position of each model
+let changeListeners = [];
+
+/**
+ * Returns the Monaco language of a file from its extension
+ * @param {string} name - The file name
+ * @returns {string} The language, or "plaintext" if the extension is unknown
+ */
+function languageForFile(name) {
+    const dot = name.lastIndexOf(".");
+    if (dot <= 0) {
+        return "plaintext";
+    }
+    const extension = name.slice(dot).toLowerCase();
+    const language = monaco.languages.getLanguages().find(language => language.extensions?.includes(extension));
+    return language ? language.id : "plaintext";
+}
+
+/**
+ * Checks a new file name
+ * @param {string} name - The name
+ * @param {string} [currentName] - The file's current name, when renaming
+ * @returns {string|null} The problem with the name, or null if it is valid
+ */
+function validateFileName(name, currentName) {
+    if (!FILE_NAME_PATTERN.test(name)) {
+        return "Use letters, digits, '_', '-' and '.', up to 64 characters.";
+    }
+    // The main file is submitted under MAIN_FILE, and the euler_utils package is shipped next to it
+    if (name === MAIN_FILE) {
+        return `${MAIN_FILE} is the main file's name when it runs.`;
+    }
+    if (name === PACKAGE_NAME || name.startsWith(`${PACKAGE_NAME}.`)) {
+        return `${PACKAGE_NAME} is reserved for the helper package.`;
+    }
+    if (name !== currentName && files.some(file => file.name === name)) {
+        return `${name} already exists.`;
+    }
+    return null;
+}
+
+/**
+ * Notifies listeners that files were added, renamed or removed
+ */
+function notifyChange() {
+    changeListeners.forEach(listener => listener());
+}
+
+/**
+ * Shows a model in the editor, keeping the view state of the previous one
+ * @param {monaco.editor.ITextModel} model - The model
+ */
+function activate(model) {
+    if (model !== activeModel) {
+        viewStates.set(activeModel, editor.saveViewState());
+        editor.setModel(model);
+        editor.restoreViewState(viewStates.get(model) || null);
+        activeModel = model;
+    }
+    render();
+    editor.focus();
+}
+
+/**
+ * Replaces a tab's content with an inline text field for a file name
+ * @param {HTMLElement} element - The element to replace
+ * @param {string} value - The initial name
+ * @param {function(string): (string|null)} commit - Applies a name; returns the problem with it, or null
+ */
+function editName(element, value, commit) {
+    const input = document.createElement("input");
+    input.className = "workspace-tab-input";
+    input.value = value;
+    input.spellcheck = false;
+    input.placeholder = "helper.py";
+
+    let done = false;
+    const finish = apply => {
+        if (done) {
+            return;
+        }
+        const name = input.value.trim();
+        if (apply && name && name !== value) {
+            const problem = commit(name);
+            if (problem) {
+                input.classList.add("invalid");
+                input.title = problem;
+                return;
+            }
+        }
+        done = true;
+        render();
+    };
+
+    input.addEventListener("keydown", event => {
+        event.stopPropagation();
+        if (event.key === "Enter") {
+            finish(true);
+        } else if (event.key === "Escape") {
+            finish(false);
+        }
+    });
+    input.addEventListener("input", () => input.classList.remove("invalid"));
+    input.addEventListener("blur", () => finish(false));
+
+    element.replaceWith(input);
+    input.focus();
+    input.select();
+}
+
+/**
+ * Adds an empty helper file and opens it
+ * @param {string} name - The file name
+ * @returns {string|null} The problem with the name, or null if the file was added
+ */
+function addFile(name) {
+    const problem = validateFileName(name);
+    if (problem) {
+        return problem;
+    }
+    const model = monaco.editor.createModel("", languageForFile(name));
+    files.push({ name, model });
+    activate(model);
+    notifyChange();
+    return null;
+}
+
+/**
+ * Renames a helper file
+ * @param {{name: string, model: monaco.editor.ITextModel}} file - The file
+ * @param {string} name - The new name
+ * @returns {string|null} The problem with the name, or null if the file was renamed
+ */
+function renameFile(file, name) {
+    const problem = validateFileName(name, file.name);
+    if (problem) {
+        return problem;
+    }
+    file.name = name;
+    monaco.editor.setModelLanguage(file.model, languageForFile(name));
+    notifyChange();
+    return null;
+}
+
+/**
+ * Removes a helper file, asking first if it has content
+ * @param {{name: string, model: monaco.editor.ITextModel}} file - The file
+ */
+function removeFile(file) {
+    if (file.model.getValue().trim() && !window.confirm(`Delete ${file.name}?`)) {
+        return;
+    }
+    if (activeModel === file.model) {
+        activate(mainModel);
+    }
+    files = files.filter(other => other !== file);
+    viewStates.delete(file.model);
+    file.model.dispose();
+    render();
+    notifyChange();
+}
+
+/**
+ * Creates a tab
+ * @param {string} label - The tab label
+ * @param {monaco.editor.ITextModel} model - The model the tab shows
+ * @returns {HTMLElement} The tab
+ */
+function createTab(label, model) {
+    const tab = document.createElement("div");
+    tab.className = `workspace-tab${model === activeModel ? " active" : ""}`;
+    const name = document.createElement("span");
+    name.textContent = label;
+    tab.appendChild(name);
+    tab.addEventListener("click", () => {
+        if (model !== activeModel) {    // Re-rendering the active tab would swallow a double-click
+            activate(model);
+        }
+    });
+    return tab;
+}
+
+/**
+ * Renders the tab bar
+ */
+function render() {
+    if (!barElement) {
+        return;
+    }
+    barElement.innerHTML = "";
+
+    const mainTab = createTab(MAIN_TAB_LABEL, mainModel);
+    mainTab.title = "The program that is run";
+    barElement.appendChild(mainTab);
+
+    files.forEach(file => {
+        const tab = createTab(file.name, file.model);
+        tab.title = "Shipped next to the program. Double-click the name to rename it.";
+        const name = tab.firstChild;
+        name.addEventListener("dblclick", () => editName(name, file.name, newName => renameFile(file, newName)));
+
+        const close = document.createElement("span");
+        close.className = "workspace-tab-close";
+        close.textContent = "×";
+        close.title = `Delete ${file.name}`;
+        close.addEventListener("click", event => {
+            event.stopPropagation();
+            removeFile(file);
+        });
+        tab.appendChild(close);
+        barElement.appendChild(tab);
+    });
+
+    const add = document.createElement("div");
+    add.className = "workspace-tab workspace-tab-add";
+    add.textContent = "+";
+    add.title = "Add a helper file";
+    add.addEventListener("click", () => editName(add, "", addFile));
+    barElement.appendChild(add);
+}
+
+/**
+ * Sets up the tab bar; the editor's current model becomes the main file
+ * @param {monaco.editor.IStandaloneCodeEditor} sourceEditor - The source editor
+ * @param {HTMLElement} element - The tab bar element
+ */
+export function initialize(sourceEditor, element) {
+    editor = sourceEditor;
+    mainModel = editor.getModel();
+    activeModel = mainModel;
+    barElement = element;
+    render();
+}
+
+/**
+ * Returns the model of the main file
+ * @returns {monaco.editor.ITextModel} The model
+ */
+export function getMainModel() {
+    return mainModel;
+}
+
+/**
+ * Returns the model of a file
+ * @param {string|null} name - The helper file's name, or null for the main file
+ * @returns {monaco.editor.ITextModel|null} The model, or null if there is no such file
+ */
+export function getModel(name) {
+    if (name === null) {
+        return mainModel;
+    }
+    return files.find(file => file.name === name)?.model || null;
+}
+
+/**
+ * Shows a file in the editor
+ * @param {string|null} name - The helper file's name, or null for the main file
+ */
+export function showFile(name) {
+    const model = getModel(name);
+    if (model) {
+        activate(model);
+    }
+}
+
+/**
+ * Shows the main file in the editor
+ */
+export function showMain() {
+    if (activeModel !== mainModel) {
+        activate(mainModel);
+    }
+}
+
+/**
+ * Returns the helper files
+ * @returns {Array<{name: string, content: string}>} The files, in tab order
+ */
+export function getFiles() {
+    return files.map(file => ({ name: file.name, content: file.model.getValue() }));
+}
+
+/**
+ * Replaces the helper files and shows the main file. Listeners are not notified.
+ * @param {Array<{name: string, content: string}>} newFiles - The files
+ */
+export function setFiles(newFiles) {
+    showMain();
+    files.forEach(file => file.model.dispose());
+    viewStates = new Map();
+    files = newFiles.map(file => ({ name: file.name, model: monaco.editor.createModel(file.content, languageForFile(file.name)) }));
+    render();
+}
+
+/**
+ * Registers a listener for helper files being added, renamed or removed.
+ * Edits reach the source editor's own change event.
+ * @param {function(): void} listener - Called after every change
+ */
+export function onChange(listener) {
+    changeListeners.push(listener);
+}
@@ -1,33 +1,92 @@
 /**
  * Language Manager Component
- * 
- * Manages Python configuration for the IDE.
+ *
+ * Loads the languages offered by the configured execution backend, keeps
+ * track of the selected language and remembers it across sessions. The
+ * backend's default language (Python) is used when nothing is selected and
+ * is the fallback when the language list cannot be loaded.
  */
 
+import ls from "../../core/storage/LocalStorage.js";
+import * as ExecutionBackend from "../compiler/ExecutionBackend.js";
+
 // Constants
-const EXTRA_CE = "EXTRA_CE";
-const AUTHENTICATED_EXTRA_CE_BASE_URL = "https://judge0-extra-ce.p.sulu.sh";
-const UNAUTHENTICATED_EXTRA_CE_BASE_URL = "https://extra-ce.judge0.com";
+const SELECTED_LANGUAGE_KEY = "EULER_LANGUAGE";
+
+// Judge0 pseudo-languages that cannot run a single source file
+const HIDDEN_LANGUAGES = /^(Executable|Multi-file program|Plain Text)\b/i;
 
-// Python configuration
-const PYTHON_CONFIG = {
-    flavor: EXTRA_CE,
-    language_id: 25  // Python for ML (3.11.2)
-};
+// State variables
+let languages = [ExecutionBackend.getBackend().defaultLanguage];
+let currentLanguage = languages[0];
 
-// Export the base URLs
-export const AUTHENTICATED_BASE_URL = {
-    [EXTRA_CE]: AUTHENTICATED_EXTRA_CE_BASE_URL
-};
+/**
+ * Loads the available languages from the execution backend and restores
+ * the previously selected language
+ * @returns {Promise<Array<{flavor: string, language_id: number, name: string}>>} The languages, sorted by name
+ */
+export async function loadLanguages() {
+    const backend = ExecutionBackend.getBackend();
+    const loaded = (await backend.listLanguages()).filter(language => !HIDDEN_LANGUAGES.test(language.name));
 
-export const UNAUTHENTICATED_BASE_URL = {
-    [EXTRA_CE]: UNAUTHENTICATED_EXTRA_CE_BASE_URL
-};
+    const fallback = loaded.find(language => isSameLanguage(language, backend.defaultLanguage)) || backend.defaultLanguage;
+    if (!loaded.includes(fallback)) {
+        loaded.push(fallback);
+    }
+    languages = loaded.sort((a, b) => a.name.localeCompare(b.name));
 
-export function getLanguageConfig() {
-    return PYTHON_CONFIG;
+    const saved = ls.get(SELECTED_LANGUAGE_KEY);
+    currentLanguage = (saved && findLanguage(saved.flavor, saved.language_id)) || fallback;
+    return languages;
+}
+
+/**
+ * Checks whether two language configurations refer to the same language
+ * @param {{flavor: string, language_id: number}} a - The first language
+ * @param {{flavor: string, language_id: number}} b - The second language
+ * @returns {boolean} True if they are the same
+ */
+export function isSameLanguage(a, b) {
+    return a.flavor === b.flavor && a.language_id === b.language_id;
 }
 
-export function getApiBaseUrl() {
-    return UNAUTHENTICATED_EXTRA_CE_BASE_URL;
-} 
\ No newline at end of file
+/**
+ * Finds a loaded language
+ * @param {string} flavor - The Judge0 flavor
+ * @param {number} languageId - The Judge0 language ID
+ * @returns {Object|null} The language, or null if it is not available
+ */
+export function findLanguage(flavor, languageId) {
+    return languages.find(language => isSameLanguage(language, { flavor, language_id: languageId })) || null;
+}
+
+/**
+ * Returns the loaded languages
+ * @returns {Array<{flavor: string, language_id: number, name: string}>} The languages
+ */
+export function getLanguages() {
+    return languages;
+}
+
+/**
+ * Selects a language and remembers the choice
+ * @param {string} flavor - The Judge0 flavor
+ * @param {number} languageId - The Judge0 language ID
+ * @param {boolean} [remember] - Whether to remember the choice for the next session; SQL
+ *        problems pick SQLite without changing the language of other problems
+ * @returns {Object|null} The selected language, or null if it is not available
+ */
+export function selectLanguage(flavor, languageId, remember = true) {
+    const language = findLanguage(flavor, languageId);
+    if (language) {
+        currentLanguage = language;
+        if (remember) {
+            ls.set(SELECTED_LANGUAGE_KEY, { flavor, language_id: languageId });
+        }
+    }
+    return language;
+}
+
+export function getLanguageConfig() {
+    return currentLanguage;
+}
@@ -0,0 +1,94 @@
+/**
+ * Language Templates Component
+ *
+ * Starter source code for a problem in a given language: a header comment
+ * naming the problem and, for common languages, a minimal program that
+ * prints its answer on the last line (for SQL, a query listing the tables).
+ */
+
+import { getLanguageBaseName, getLineComment } from "../../core/editor/EditorLanguages.js";
+
+// Program bodies by language base name
+const BODIES = {
+    "c": `#include <stdio.h>
+
+int main(void) {
+    long long answer = 0;
+    printf("%lld\\n", answer);
+    return 0;
+}
+`,
+    "c++": `#include <iostream>
+
+int main() {
+    long long answer = 0;
+    std::cout << answer << std::endl;
+    return 0;
+}
+`,
+    "c#": `using System;
+
+public class Program {
+    public static void Main() {
+        long answer = 0;
+        Console.WriteLine(answer);
+    }
+}
+`,
+    "go": `package main
+
+import "fmt"
+
+func main() {
+    var answer int64 = 0
+    fmt.Println(answer)
+}
+`,
+    "haskell": `main :: IO ()
+main = do
+    let answer = 0 :: Integer
+    print answer
+`,
+    "java": `public class Main {
+    public static void main(String[] args) {
+        long answer = 0;
+        System.out.println(answer);
+    }
+}
+`,
+    "javascript": `const answer = 0;
+console.log(answer);
+`,
+    "kotlin": `fun main() {
+    val answer = 0L
+    println(answer)
+}
+`,
+    "ruby": `answer = 0
+puts answer
+`,
+    "rust": `fn main() {
+    let answer: u64 = 0;
+    println!("{}", answer);
+}
+`,
+    "sql": `-- The tables of the Chinook database
+SELECT name
+FROM sqlite_master
+WHERE type = 'table';
+`
+};
+
+/**
+ * Returns the starter source for a problem in a language
+ * @param {{id: number, title: string, track?: string}} problem - The problem
+ * @param {{name: string}} language - The language
+ * @returns {string} The starter source
+ */
+export function getStarterTemplate(problem, language) {
+    const comment = getLineComment(language.name);
+    const track = problem.track === "sql" ? "SQL" : "Project Euler";
+    const header = `${comment} ${track} - Problem ${problem.id}\n${comment} ${problem.title}`;
+    const body = BODIES[getLanguageBaseName(language.name)];
+    return body ? `${header}\n\n${body}` : header;
+}
@@ -8,13 +8,38 @@
 import { IS_PUTER } from "../../core/environment/PuterIntegration.js";
 import * as EditorManager from "../editor/EditorManager.js";
 import * as CompilerManager from "../compiler/CompilerManager.js";
+import * as LanguageManager from "../language/LanguageManager.js";
+import * as SourceStore from "../editor/SourceStore.js";
+import * as InputStore from "../editor/InputStore.js";
+import * as WorkspaceStore from "../editor/WorkspaceStore.js";
+import { getStarterTemplate } from "../language/LanguageTemplates.js";
+import { getEditorLanguageMode } from "../../core/editor/EditorLanguages.js";
 import * as ChatManager from "../chat/ChatManager.js";
+import * as RunsPanel from "../runs/RunsPanel.js";
+import * as LibraryPanel from "../library/LibraryPanel.js";
+import * as StressPanel from "../stress/StressPanel.js";
+import * as ProblemCatalog from "../catalog/ProblemCatalog.js";
+import * as ProblemSchema from "../catalog/ProblemSchema.js";
 import { setupComposer } from "../composer/Composer.js";
+import * as SettingsDialog from "../settings/SettingsDialog.js";
+import * as SqlTrack from "../sql/SqlTrack.js";
 
 // State variables
 let layout;
 let $runBtn;
+let $runTestsBtn;
+let $stopBtn;
+let $benchmarkBtn;
+let $profileBtn;
 let $statusLine;
+let $selectLanguage;
+let currentProblem = null;
+let restoringSource = false;    // True while the editor is filled programmatically
+let saveTimer = null;
+let inputSaveTimer = null;
+
+// Constants
+const SAVE_DELAY_MS = 500;
 
 // Layout Configuration
 const layoutConfig = {
@@ -48,15 +73,27 @@ const layoutConfig = {
                     readOnly: false
                 }
             }, {
-                type: "component",
+                type: "stack",
                 height: 30,
-                componentName: "stdout",
-                id: "stdout",
-                title: "Output",
-                isClosable: false,
-                componentState: {
-                    readOnly: true
-                }
+                content: [{
+                    type: "component",
+                    componentName: "stdout",
+                    id: "stdout",
+                    title: "Output",
+                    isClosable: false,
+                    componentState: {
+                        readOnly: true
+                    }
+                }, {
+                    type: "component",
+                    componentName: "stdin",
+                    id: "stdin",
+                    title: "Stdin",
+                    isClosable: false,
+                    componentState: {
+                        readOnly: false
+                    }
+                }]
             }]
         }, {
             type: "column",
@@ -81,15 +118,39 @@ const layoutConfig = {
                     componentState: {
                         readOnly: false
                     }
+                }, {
+                    type: "component",
+                    componentName: "runs",
+                    id: "runs",
+                    title: "Runs",
+                    isClosable: false,
+                    componentState: {
+                        readOnly: true
+                    }
+                }, {
+                    type: "component",
+                    componentName: "library",
+                    id: "library",
+                    title: "euler_utils",
+                    isClosable: false,
+                    componentState: {
+                        readOnly: true
+                    }
+                }, {
+                    type: "component",
+                    componentName: "stress",
+                    id: "stress",
+                    title: "Stress Test",
+                    isClosable: false,
+                    componentState: {
+                        readOnly: false
+                    }
                 }]
             }]
         }]
     }]
 };
 
-// Default content
-export const DEFAULT_LANGUAGE_ID = 25; // Python 3.11.2 (only supported language)
-
 /**
  * Sets default values for editors and status
  */
@@ -108,16 +169,183 @@ async function setDefaults() {
     document.title = `Euler.ai - Problem ${problem.id}: ${problem.title}`;
     
     EditorManager.setFontSizeForAllEditors(EditorManager.getFontSize());
-    EditorManager.setSourceValue(`# Project Euler - Problem ${problem.id}\n# ${problem.title}`);
     EditorManager.setStdoutValue("");
-    EditorManager.setDescriptionValue(`# ${problem.title}\n\n## Problem ${problem.id}\n\n${problem.description}`);
+    EditorManager.setDescriptionValue(`# ${problem.title}\n\n## Problem ${problem.id}\n\n${problem.description}${formatExamples(problem.tests)}`);
+    $runTestsBtn.toggle(!!problem.tests?.length);
     
     ChatManager.updateProblemContext(problem);
     CompilerManager.updateProblemContext(problem);
+    RunsPanel.updateProblemContext(problem);
+    StressPanel.updateProblemContext(problem);
     
     $statusLine.html("");
-    // Always use Python
-    EditorManager.setLanguage('python');
+
+    currentProblem = problem;
+    await LanguageManager.loadLanguages();
+    if (SqlTrack.isSqlProblem(problem)) {
+        selectSqlLanguage();
+    }
+    populateLanguageSelect();
+    applyLanguage(LanguageManager.getLanguageConfig());
+    EditorManager.setAdditionalFiles(WorkspaceStore.loadFiles(problem.id));
+    EditorManager.onSourceChange(scheduleSave);
+
+    const input = InputStore.loadInput(problem.id);
+    EditorManager.setStdinValue(input.stdin);
+    EditorManager.setCommandLineArguments(input.args);
+    EditorManager.onInputChange(scheduleInputSave);
+
+    window.addEventListener("beforeunload", () => {
+        saveSource();
+        saveInput();
+    });
+}
+
+/**
+ * Returns the dropdown value of a language
+ * @param {{flavor: string, language_id: number}} language - The language
+ * @returns {string} The value, e.g. "CE:54"
+ */
+function languageValue(language) {
+    return `${language.flavor}:${language.language_id}`;
+}
+
+/**
+ * Fills the language dropdown with the loaded languages
+ */
+function populateLanguageSelect() {
+    $selectLanguage.empty();
+    LanguageManager.getLanguages().forEach(language => {
+        $selectLanguage.append($("<option>").val(languageValue(language)).text(language.name));
+    });
+    $selectLanguage.val(languageValue(LanguageManager.getLanguageConfig()));
+    $selectLanguage.dropdown("refresh");
+    $selectLanguage.dropdown("set selected", languageValue(LanguageManager.getLanguageConfig()));
+}
+
+/**
+ * Switches the editor to a language: sets its Monaco mode and restores the
+ * problem's saved source in that language, or its starter template
+ * @param {{flavor: string, language_id: number, name: string}} language - The language
+ */
+function applyLanguage(language) {
+    const source = SourceStore.loadSource(currentProblem.id, language) ?? getStarterTemplate(currentProblem, language);
+
+    EditorManager.setLanguage(getEditorLanguageMode(language.name));
+    restoringSource = true;
+    EditorManager.setSourceValue(source);
+    restoringSource = false;
+}
+
+/**
+ * Switches an SQL problem to SQLite, or says why its queries cannot run
+ */
+function selectSqlLanguage() {
+    const language = SqlTrack.findSqlLanguage(LanguageManager.getLanguages());
+    if (language) {
+        LanguageManager.selectLanguage(language.flavor, language.language_id, false);
+    } else {
+        $statusLine.text("SQL problems need a Judge0 backend with SQLite; change the backend in Settings.");
+    }
+}
+
+/**
+ * Handles a new choice in the language dropdown
+ */
+function handleLanguageChange() {
+    const [flavor, id] = String($selectLanguage.val()).split(":");
+    const current = LanguageManager.getLanguageConfig();
+    if (!currentProblem || languageValue(current) === $selectLanguage.val()) {
+        return;
+    }
+
+    saveSource();
+    const language = LanguageManager.selectLanguage(flavor, parseInt(id), !SqlTrack.isSqlProblem(currentProblem));
+    if (language) {
+        applyLanguage(language);
+    }
+}
+
+/**
+ * Restores the code (and helper files, if recorded) of a run, switching
+ * to its language first if that language is available
+ * @param {Object} run - The run
+ */
+function restoreRun(run) {
+    const language = run.language && LanguageManager.findLanguage(run.language.flavor, run.language.language_id);
+    if (language && !LanguageManager.isSameLanguage(language, LanguageManager.getLanguageConfig())) {
+        saveSource();
+        LanguageManager.selectLanguage(language.flavor, language.language_id, !SqlTrack.isSqlProblem(currentProblem));
+        applyLanguage(language);
+        $selectLanguage.dropdown("set selected", languageValue(language));
+    }
+    if (run.files) {
+        EditorManager.setAdditionalFiles(run.files);
+    }
+    EditorManager.setSourceValue(run.source);
+}
+
+/**
+ * Saves the source shortly after the user stops typing
+ */
+function scheduleSave() {
+    if (restoringSource) {
+        return;
+    }
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(saveSource, SAVE_DELAY_MS);
+}
+
+/**
+ * Saves the source of the current problem in the current language,
+ * and the problem's helper files
+ */
+function saveSource() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (currentProblem) {
+        SourceStore.saveSource(currentProblem.id, LanguageManager.getLanguageConfig(), EditorManager.getSourceValue());
+        WorkspaceStore.saveFiles(currentProblem.id, EditorManager.getAdditionalFiles());
+    }
+}
+
+/**
+ * Formats a problem's test cases as an examples section for the description
+ * @param {Array<{name?: string, stdin: string, expectedOutput: string}>} [tests] - The test cases
+ * @returns {string} The markdown section, or an empty string if there are no tests
+ */
+function formatExamples(tests) {
+    if (!tests?.length) {
+        return "";
+    }
+
+    const examples = tests.map((test, i) => {
+        const input = test.stdin.trim() || "(empty)";
+        return `**${test.name || `Example ${i + 1}`}:** input \`${input}\` → \`${test.expectedOutput}\``;
+    });
+    return `\n\n## Examples\n\nEach example is fed to your program on standard input; with no input it should solve the actual problem. Use **Run Tests** to check these cases before the answer is checked.\n\n${examples.join("\n\n")}`;
+}
+
+/**
+ * Saves the program input shortly after the user stops typing
+ */
+function scheduleInputSave() {
+    clearTimeout(inputSaveTimer);
+    inputSaveTimer = setTimeout(saveInput, SAVE_DELAY_MS);
+}
+
+/**
+ * Saves the program input and arguments of the current problem
+ */
+function saveInput() {
+    clearTimeout(inputSaveTimer);
+    inputSaveTimer = null;
+    if (currentProblem) {
+        InputStore.saveInput(currentProblem.id, {
+            stdin: EditorManager.getStdinValue(),
+            args: EditorManager.getCommandLineArguments()
+        });
+    }
 }
 
 /**
@@ -156,7 +384,9 @@ export async function initialize() {
     window.addEventListener("resize", refreshLayoutSize);
 
     // Initialize UI components
-    $("#select-language").dropdown();
+    $selectLanguage = $("#select-language");
+    $selectLanguage.dropdown();
+    $selectLanguage.on("change", handleLanguageChange);
     $("[data-content]").popup({
         lastResort: "left center"
     });
@@ -165,6 +395,10 @@ export async function initialize() {
 
     // Initialize run button and status line
     $runBtn = $("#run-btn");
+    $runTestsBtn = $("#run-tests-btn");
+    $stopBtn = $("#stop-btn");
+    $benchmarkBtn = $("#benchmark-btn");
+    $profileBtn = $("#profile-btn");
     $statusLine = $("#judge0-status-line");
 
     // Set up keyboard shortcuts
@@ -208,6 +442,9 @@ export async function initialize() {
         window.location.href = 'index.html';
     });
 
+    // Initialize settings button
+    $("#settings-btn").click(SettingsDialog.open);
+
     // Initialize Monaco editor and layout
     require(["vs/editor/editor.main"], function () {
         layout = new GoldenLayout(layoutConfig, $("#judge0-site-content"));
@@ -215,6 +452,10 @@ export async function initialize() {
         // Initialize editors
         EditorManager.initializeEditors(layout);
         ChatManager.initialize(layout);
+        RunsPanel.initialize(layout);
+        LibraryPanel.initialize(layout);
+        StressPanel.initialize(layout);
+        window.addEventListener(RunsPanel.RESTORE_RUN_EVENT, (e) => restoreRun(e.detail));
         
         // Register the composer component
         layout.registerComponent("composer", function(container, state) {
@@ -226,8 +467,13 @@ export async function initialize() {
             refreshLayoutSize();
             window.top.postMessage({ event: "initialised" }, "*");
 
-            CompilerManager.initialize($runBtn, $statusLine, layout);
+            CompilerManager.initialize($runBtn, $statusLine, layout, $runTestsBtn, $stopBtn, $benchmarkBtn, $profileBtn);
             $runBtn.click(CompilerManager.run);
+            $runTestsBtn.click(CompilerManager.runTests);
+            $stopBtn.click(CompilerManager.stop);
+            $benchmarkBtn.click(() => CompilerManager.benchmark($("#benchmark-runs").val()));
+            $profileBtn.click(CompilerManager.profile);
+            window.addEventListener(StressPanel.RUN_STRESS_TEST_EVENT, (e) => CompilerManager.stressTest(e.detail));
 
             // Add compiler event listeners
             window.addEventListener('compiler-error', (e) => {
@@ -250,18 +496,38 @@ export async function initialize() {
     }
 }
 
-// Add new problem loading functionality
+/**
+ * Shows a schema validation report for a problem file in the description panel
+ * @param {string} problemId - The problem ID
+ * @param {string} url - The problem file URL
+ * @param {Array<{field: string, message: string}>} errors - The validation errors
+ */
+function showInvalidProblem(problemId, url, errors) {
+    const details = errors.map(error => `- \`${error.field}\`: ${error.message}`).join("\n");
+    EditorManager.setDescriptionValue(`# Invalid Problem File\n\nProblem ${problemId} (\`${url}\`) does not match problem schema version ${ProblemSchema.SCHEMA_VERSION}:\n\n${details}`);
+}
+
+/**
+ * Loads, migrates and validates a problem
+ * @param {string} problemId - The problem ID
+ * @returns {Promise<Object|null>} The problem, or null if it could not be loaded
+ */
 async function loadProblem(problemId) {
+    let url;
+    let data;
     try {
-        const response = await fetch(`/data/problems/problem${problemId}.json`);
+        const entry = await ProblemCatalog.findEntry(problemId);
+        if (!entry) {
+            throw new Error(`Problem ${problemId} is not in the catalog`);
+        }
+        url = ProblemCatalog.getProblemUrl(entry);
+        const response = await fetch(url);
         if (!response.ok) {
             throw new Error(`Problem ${problemId} not found`);
         }
-        const problem = await response.json();
-        return problem;
+        data = await response.text();
     } catch (error) {
         console.error('Error loading problem:', error);
-        // Add better error handling
         EditorManager.setDescriptionValue(`# Error Loading Problem\n\nUnable to load Problem ${problemId}. Redirecting to Problem 1...`);
         // Redirect to problem 1 after a short delay
         setTimeout(() => {
@@ -269,4 +535,20 @@ async function loadProblem(problemId) {
         }, 2000);
         return null;
     }
-} 
\ No newline at end of file
+
+    let json;
+    try {
+        json = JSON.parse(data);
+    } catch (error) {
+        showInvalidProblem(problemId, url, [{ field: "(root)", message: `not valid JSON (${error.message})` }]);
+        return null;
+    }
+
+    const { problem, errors } = await ProblemSchema.parseProblem(json);
+    if (!problem) {
+        console.error(`Problem ${problemId} failed validation:`, errors);
+        showInvalidProblem(problemId, url, errors);
+        return null;
+    }
+    return problem;
+}
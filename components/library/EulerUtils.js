@@ -0,0 +1,136 @@
+/**
+ * Euler Utils Component
+ *
+ * The opt-in euler_utils Python package (data/euler_utils): sieves, gcd,
+ * modular arithmetic, digit helpers and so on. When enabled, CompilerManager
+ * ships the package with every Python run as additional files, next to the
+ * main source, so solutions can "from euler_utils import sieve". The docs
+ * panel and the AI prompts are generated from the package's docstrings.
+ */
+
+import ls from "../../core/storage/LocalStorage.js";
+import * as LanguageManager from "../language/LanguageManager.js";
+import { getLanguageBaseName } from "../../core/editor/EditorLanguages.js";
+
+// Constants
+const STORAGE_KEY = "EULER_UTILS_ENABLED";
+export const PACKAGE_NAME = "euler_utils";
+const PACKAGE_URL = "./data/euler_utils/";
+const MODULE_FILES = ["__init__.py", "primes.py", "number_theory.py", "digits.py", "sequences.py"];
+
+// State variables
+let filesPromise = null;    // The package files, loaded once
+let docs = null;            // The parsed documentation, once loaded
+
+/**
+ * Checks whether the package is shipped with Python runs
+ * @returns {boolean} True if enabled
+ */
+export function isEnabled() {
+    return ls.get(STORAGE_KEY) === true;
+}
+
+/**
+ * Enables or disables shipping the package with Python runs
+ * @param {boolean} enabled - Whether to ship the package
+ */
+export function setEnabled(enabled) {
+    ls.set(STORAGE_KEY, enabled ? true : null);
+    if (enabled) {
+        preloadDocs();
+    }
+}
+
+/**
+ * Checks whether the package is shipped with runs in a language
+ * @param {{name: string}} language - The language
+ * @returns {boolean} True if enabled and the language is Python
+ */
+export function appliesTo(language) {
+    return isEnabled() && getLanguageBaseName(language.name) === "python";
+}
+
+/**
+ * Loads the package's source files
+ * @returns {Promise<Array<{name: string, content: string}>>} The files, named by their path
+ *          in the package, e.g. "euler_utils/primes.py"; rejects with a jqXHR-like error
+ */
+export function loadFiles() {
+    if (!filesPromise) {
+        filesPromise = Promise.all(MODULE_FILES.map(async file => {
+            const response = await fetch(`${PACKAGE_URL}${file}`);
+            if (!response.ok) {
+                throw { status: response.status, statusText: `Failed to load ${PACKAGE_NAME}/${file}` };
+            }
+            return { name: `${PACKAGE_NAME}/${file}`, content: await response.text() };
+        }));
+        filesPromise.catch(() => { filesPromise = null; });  // Retry on next use
+    }
+    return filesPromise;
+}
+
+/**
+ * Reduces a Python docstring to its text, without the common indentation
+ * @param {string} docstring - The docstring contents
+ * @returns {string} The text
+ */
+function cleanDocstring(docstring) {
+    return docstring.split("\n").map(line => line.trim()).join("\n").trim();
+}
+
+/**
+ * Extracts the documentation of a module from its source
+ * @param {{name: string, content: string}} file - The module file
+ * @returns {{module: string, summary: string, functions: Array<{name: string, signature: string, doc: string}>}} The docs
+ */
+function parseModule(file) {
+    const summary = file.content.match(/^"""([\s\S]*?)"""/);
+    const functions = [...file.content.matchAll(/^def (\w+)\(([^)]*)\):\s*\n\s+"""([\s\S]*?)"""/gm)]
+        .filter(([, name]) => !name.startsWith("_"))
+        .map(([, name, args, doc]) => ({ name, signature: `${name}(${args})`, doc: cleanDocstring(doc) }));
+    return {
+        module: `${PACKAGE_NAME}.${file.name.split("/").pop().replace(/\.py$/, "")}`,
+        summary: summary ? cleanDocstring(summary[1]).split("\n")[0] : "",
+        functions
+    };
+}
+
+/**
+ * Loads the documentation of the package's modules
+ * @returns {Promise<Array<Object>>} The modules with their public functions; the package's
+ *          __init__ is left out, since it only re-exports them
+ */
+export async function loadDocs() {
+    const files = await loadFiles();
+    docs = files.filter(file => !file.name.endsWith("__init__.py")).map(parseModule);
+    return docs;
+}
+
+/**
+ * Loads the documentation in the background, so that the AI prompts can
+ * list the functions whether or not the docs panel is open
+ */
+function preloadDocs() {
+    if (!docs) {
+        loadDocs().catch(error => console.error(`Failed to load the ${PACKAGE_NAME} docs:`, error));
+    }
+}
+
+/**
+ * Describes the package for the AI assistants' prompts
+ * @returns {string} A paragraph listing the package's functions, or an empty
+ *          string if the package is not shipped with the current language
+ */
+export function describeForPrompt() {
+    if (!appliesTo(LanguageManager.getLanguageConfig())) {
+        return "";
+    }
+    preloadDocs();  // Retries a failed load; the next prompt gets the list
+    const signatures = docs ? docs.flatMap(module => module.functions.map(fn => fn.signature)) : [];
+    const listing = signatures.length ? ` It provides: ${signatures.join(", ")}.` : "";
+    return `The user's Python runs include the helper package \`${PACKAGE_NAME}\` (import with e.g. \`from ${PACKAGE_NAME} import sieve\`).${listing} Prefer these helpers over reimplementing them.`;
+}
+
+if (isEnabled()) {
+    preloadDocs();
+}
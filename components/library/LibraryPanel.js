@@ -0,0 +1,154 @@
+/**
+ * Library Panel Component
+ *
+ * Documents the euler_utils package (see EulerUtils.js) in a GoldenLayout
+ * panel: its modules and functions, generated from the docstrings, plus
+ * the switch that ships the package with Python runs.
+ */
+
+import * as EulerUtils from "./EulerUtils.js";
+
+// Add styles
+const styles = document.createElement('style');
+styles.textContent = `
+    .library-container {
+        height: 100%;
+        display: flex;
+        flex-direction: column;
+        background: #1e1e1e;
+        color: #d4d4d4;
+        font-family: 'JetBrains Mono', monospace;
+        font-size: 12px;
+    }
+
+    .library-toolbar {
+        padding: 8px 10px;
+        border-bottom: 1px solid #3c3c3c;
+    }
+
+    .library-toolbar label {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        cursor: pointer;
+    }
+
+    .library-hint {
+        margin-top: 4px;
+        color: #9d9d9d;
+    }
+
+    .library-hint code,
+    .library-signature {
+        color: #C49A6C;
+    }
+
+    .library-content {
+        flex: 1;
+        overflow-y: auto;
+        padding: 4px 10px 10px;
+    }
+
+    .library-module h4 {
+        margin: 12px 0 2px;
+        font-family: inherit;
+        font-size: 12px;
+        color: #ffffff;
+    }
+
+    .library-module-summary {
+        color: #9d9d9d;
+        margin-bottom: 4px;
+    }
+
+    .library-function {
+        padding: 4px 0 4px 8px;
+        border-left: 2px solid #3c3c3c;
+        margin-bottom: 4px;
+    }
+
+    .library-doc {
+        white-space: pre-wrap;
+        color: #bdbdbd;
+    }
+
+    .library-error {
+        padding: 20px 0;
+        color: #f44336;
+    }
+`;
+document.head.appendChild(styles);
+
+/**
+ * Renders the documentation of the package's modules
+ * @param {HTMLElement} content - The element to render into
+ * @param {Array<Object>} modules - The modules, see EulerUtils.loadDocs()
+ */
+function renderDocs(content, modules) {
+    content.innerHTML = "";
+    modules.forEach(module => {
+        const section = document.createElement("section");
+        section.className = "library-module";
+
+        const title = document.createElement("h4");
+        title.textContent = module.module;
+        const summary = document.createElement("div");
+        summary.className = "library-module-summary";
+        summary.textContent = module.summary;
+        section.append(title, summary);
+
+        module.functions.forEach(fn => {
+            const item = document.createElement("div");
+            item.className = "library-function";
+            const signature = document.createElement("div");
+            signature.className = "library-signature";
+            signature.textContent = fn.signature;
+            const doc = document.createElement("div");
+            doc.className = "library-doc";
+            doc.textContent = fn.doc;
+            item.append(signature, doc);
+            section.appendChild(item);
+        });
+        content.appendChild(section);
+    });
+}
+
+/**
+ * Creates the panel UI
+ * @param {HTMLElement} container - The panel element
+ */
+function createLibraryUI(container) {
+    container.innerHTML = `
+        <div class="library-container">
+            <div class="library-toolbar">
+                <label>
+                    <input type="checkbox" class="library-enabled">
+                    Include euler_utils in Python runs
+                </label>
+                <div class="library-hint">Then import it, e.g. <code>from euler_utils import sieve, digit_sum</code></div>
+            </div>
+            <div class="library-content">Loading…</div>
+        </div>
+    `;
+
+    const checkbox = container.querySelector(".library-enabled");
+    checkbox.checked = EulerUtils.isEnabled();
+    checkbox.addEventListener("change", () => EulerUtils.setEnabled(checkbox.checked));
+
+    const content = container.querySelector(".library-content");
+    EulerUtils.loadDocs().then(modules => renderDocs(content, modules), error => {
+        console.error("Failed to load euler_utils:", error);
+        content.innerHTML = `<div class="library-error"></div>`;
+        content.firstChild.textContent = error.statusText || "Failed to load euler_utils.";
+    });
+}
+
+/**
+ * Registers the library panel with the layout
+ * @param {GoldenLayout} layout - The GoldenLayout instance
+ */
+export function initialize(layout) {
+    layout.registerComponent("library", function (container, state) {
+        createLibraryUI(container.getElement()[0]);
+    });
+}
@@ -53,16 +53,20 @@ export class SuccessModal {
         });
     }
 
-    show(problem, answer) {
+    show(problem, answer, budget = null) {
+        const tooSlow = budget && !budget.withinBudget;
+
         // Update modal content
+        this.modal.querySelector('.modal-title').textContent = tooSlow ? '✅ Correct, but too slow' : '🎉 Congratulations!';
         this.modal.querySelector('.modal-body').innerHTML = `
-            <div class="success-emoji">🏆</div>
+            <div class="success-emoji">${tooSlow ? '🐢' : '🏆'}</div>
             <div class="success-message">
-                <h3>Problem Solved!</h3>
-                <p>You've successfully solved Problem ${problem.id}: ${problem.title}</p>
+                <h3>${tooSlow ? 'Correct Answer, Over Budget' : 'Problem Solved!'}</h3>
+                <p>You've ${tooSlow ? 'found the answer to' : 'successfully solved'} Problem ${problem.id}: ${this.escapeHtml(problem.title)}</p>
                 <div class="answer-display">
-                    Your answer: ${answer}
+                    Your answer: ${this.escapeHtml(answer)}
                 </div>
+                ${budget ? this.renderBudget(budget) : ''}
             </div>
         `;
 
@@ -78,6 +82,42 @@ export class SuccessModal {
         document.addEventListener('keydown', this.escListener);
     }
 
+    /**
+     * Renders the run's time and memory against the problem's budgets
+     * @param {{time: number|null, memory: number|null, limits: {time: number, memory: number}, exceeded: Array<string>}} budget
+     * @returns {string} The HTML
+     */
+    renderBudget(budget) {
+        const row = (label, used, limit, format, over) => {
+            const percent = used === null ? 0 : Math.min(100, (used / limit) * 100);
+            return `
+                <div class="budget-row${over ? ' over' : ''}">
+                    <div class="budget-label">
+                        <span>${label}</span>
+                        <span>${used === null ? '-' : format(used)} / ${format(limit)}</span>
+                    </div>
+                    <div class="budget-bar"><div class="budget-fill" style="width: ${percent}%"></div></div>
+                </div>
+            `;
+        };
+        const seconds = value => `${value}s`;
+        const megabytes = value => `${(value / 1024).toFixed(1)} MB`;
+
+        return `
+            <div class="budget-display">
+                ${row('Time', budget.time, budget.limits.time, seconds, budget.exceeded.includes('time'))}
+                ${row('Memory', budget.memory, budget.limits.memory, megabytes, budget.exceeded.includes('memory'))}
+                ${budget.withinBudget ? '' : '<p class="budget-hint">Project Euler problems are designed to run within a minute. Look for a faster algorithm rather than brute force.</p>'}
+            </div>
+        `;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+
     hide() {
         this.modal.classList.remove('show');
         
@@ -170,6 +210,47 @@ export class SuccessModal {
                 text-align: center;
             }
 
+            .budget-display {
+                margin-top: 15px;
+                text-align: left;
+                font-size: 0.9em;
+            }
+
+            .budget-row {
+                margin-bottom: 10px;
+            }
+
+            .budget-label {
+                display: flex;
+                justify-content: space-between;
+                margin-bottom: 4px;
+            }
+
+            .budget-bar {
+                height: 6px;
+                background: #2d2d2d;
+                border-radius: 3px;
+                overflow: hidden;
+            }
+
+            .budget-fill {
+                height: 100%;
+                background: #4CAF50;
+            }
+
+            .budget-row.over .budget-label {
+                color: #FF9800;
+            }
+
+            .budget-row.over .budget-fill {
+                background: #FF9800;
+            }
+
+            .budget-hint {
+                color: #FF9800;
+                margin: 10px 0 0;
+            }
+
             .answer-display {
                 background: #2d2d2d;
                 padding: 12px;
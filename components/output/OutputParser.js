@@ -0,0 +1,234 @@
+/**
+ * Output Parser
+ *
+ * Splits program output into blocks for the rich output view (see
+ * RichOutput.js):
+ *
+ * - text, with ANSI escape codes parsed into styled segments; a carriage
+ *   return overwrites the line, as progress bars expect
+ * - images: a line holding a data URI ("data:image/png;base64,...") or a
+ *   bare base64 PNG, as printed from matplotlib with
+ *   base64.b64encode(png_bytes).decode()
+ * - tables: a fenced ```csv or ```json block (an array of objects or of rows)
+ */
+
+import { parseCsv } from "../../core/utils/Csv.js";
+
+// Constants
+const CSI_PATTERN = /\x1b\[([0-9;?]*)([A-Za-z])/g;
+const OSC_PATTERN = /\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g;
+const IMAGE_DATA_URI_PATTERN = /^data:image\/(?:png|jpeg|gif|webp);base64,[A-Za-z0-9+/]+={0,2}$/;
+const BARE_PNG_PATTERN = /^iVBORw0KGgo[A-Za-z0-9+/]{50,}={0,2}$/;     // "iVBORw0KGgo" is the PNG signature in base64
+const FENCE_OPEN_PATTERN = /^```(csv|json)\s*$/i;
+const FENCE_CLOSE_PATTERN = /^```\s*$/;
+
+// The VS Code terminal palette: black, red, green, yellow, blue, magenta, cyan, white, then bright variants
+const ANSI_COLORS = [
+    "#000000", "#cd3131", "#0dbc79", "#e5e510", "#2472c8", "#bc3fbc", "#11a8cd", "#e5e5e5",
+    "#666666", "#f14c4c", "#23d18b", "#f5f543", "#3b8eea", "#d670d6", "#29b8db", "#ffffff"
+];
+
+/**
+ * Removes ANSI escape codes
+ * @param {string} text - The text
+ * @returns {string} The plain text
+ */
+export function stripAnsi(text) {
+    return text.replace(OSC_PATTERN, "").replace(CSI_PATTERN, "");
+}
+
+/**
+ * Returns the CSS color of an xterm 256-color index
+ * @param {number} index - The color index
+ * @returns {string} The color
+ */
+function color256(index) {
+    if (index < 16) {
+        return ANSI_COLORS[index];
+    }
+    if (index < 232) {
+        const levels = [0, 95, 135, 175, 215, 255];
+        const n = index - 16;
+        return `rgb(${levels[Math.floor(n / 36)]}, ${levels[Math.floor(n / 6) % 6]}, ${levels[n % 6]})`;
+    }
+    const gray = 8 + (index - 232) * 10;
+    return `rgb(${gray}, ${gray}, ${gray})`;
+}
+
+/**
+ * Applies the parameters of a "select graphic rendition" code to a style
+ * @param {Object} style - The current style; a new object is returned
+ * @param {Array<number>} codes - The parameters, e.g. [1, 31] for bold red
+ * @returns {Object} The new style
+ */
+function applySgr(style, codes) {
+    const next = { ...style };
+    for (let i = 0; i < codes.length; i++) {
+        const code = codes[i];
+        if (code === 0) {
+            Object.keys(next).forEach(key => delete next[key]);
+        } else if (code === 1) {
+            next.bold = true;
+        } else if (code === 2) {
+            next.dim = true;
+        } else if (code === 3) {
+            next.italic = true;
+        } else if (code === 4) {
+            next.underline = true;
+        } else if (code === 22) {
+            delete next.bold;
+            delete next.dim;
+        } else if (code === 23) {
+            delete next.italic;
+        } else if (code === 24) {
+            delete next.underline;
+        } else if ((code >= 30 && code <= 37) || (code >= 90 && code <= 97)) {
+            next.color = ANSI_COLORS[code % 10 + (code >= 90 ? 8 : 0)];
+        } else if ((code >= 40 && code <= 47) || (code >= 100 && code <= 107)) {
+            next.background = ANSI_COLORS[code % 10 + (code >= 100 ? 8 : 0)];
+        } else if (code === 39) {
+            delete next.color;
+        } else if (code === 49) {
+            delete next.background;
+        } else if (code === 38 || code === 48) {
+            // Extended colors: 38;5;n (256 colors) or 38;2;r;g;b (true color)
+            const key = code === 38 ? "color" : "background";
+            if (codes[i + 1] === 5 && codes[i + 2] !== undefined) {
+                next[key] = color256(codes[i + 2]);
+                i += 2;
+            } else if (codes[i + 1] === 2 && codes[i + 4] !== undefined) {
+                next[key] = `rgb(${codes[i + 2]}, ${codes[i + 3]}, ${codes[i + 4]})`;
+                i += 4;
+            }
+        }
+    }
+    return next;
+}
+
+/**
+ * Parses text with ANSI escape codes into styled segments. Color and
+ * style codes are applied; other escape sequences are dropped.
+ * @param {string} text - The text
+ * @param {Object} [initialStyle] - The style in effect at the start
+ * @returns {{segments: Array<{text: string, style: Object}>, style: Object}} The segments and the style at the end;
+ *          a style may have color, background, bold, dim, italic and underline
+ */
+export function parseAnsi(text, initialStyle = {}) {
+    const segments = [];
+    let style = initialStyle;
+    let last = 0;
+    const clean = text.replace(OSC_PATTERN, "");
+
+    for (const match of clean.matchAll(CSI_PATTERN)) {
+        if (match.index > last) {
+            segments.push({ text: clean.slice(last, match.index), style });
+        }
+        if (match[2] === "m") {
+            const codes = match[1] === "" ? [0] : match[1].split(";").map(code => parseInt(code) || 0);
+            style = applySgr(style, codes);
+        }
+        last = match.index + match[0].length;
+    }
+    if (last < clean.length) {
+        segments.push({ text: clean.slice(last), style });
+    }
+    return { segments, style };
+}
+
+/**
+ * Applies carriage returns within a line: what follows the last one
+ * replaces the line, the way a terminal shows a progress bar
+ * @param {string} line - The line
+ * @returns {string} The line as displayed
+ */
+function applyCarriageReturns(line) {
+    if (!line.includes("\r")) {
+        return line;
+    }
+    const parts = line.split("\r").filter(part => stripAnsi(part) !== "");
+    return parts.length ? parts[parts.length - 1] : "";
+}
+
+/**
+ * Turns the contents of a ```json block into table rows
+ * @param {string} text - The JSON: an array of objects, or an array of rows with the header first
+ * @returns {Array<Array<string>>|null} The rows, header first, or null if it is not a table
+ */
+function parseJsonTable(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        return null;
+    }
+    if (!Array.isArray(data) || data.length === 0) {
+        return null;
+    }
+    const cell = value => typeof value === "string" ? value : JSON.stringify(value) ?? "";
+
+    if (data.every(Array.isArray)) {
+        return data.map(row => row.map(cell));
+    }
+    if (data.every(item => item && typeof item === "object" && !Array.isArray(item))) {
+        const header = [...new Set(data.flatMap(Object.keys))];
+        return [header, ...data.map(item => header.map(key => key in item ? cell(item[key]) : ""))];
+    }
+    return null;
+}
+
+/**
+ * Splits output into text, image and table blocks
+ * @param {string} text - The program output
+ * @returns {Array<{type: "text", text: string}|{type: "image", src: string}|{type: "table", rows: Array<Array<string>>}>}
+ *          The blocks in output order; table rows start with the header
+ */
+export function parseOutput(text) {
+    const lines = text.replace(/\r\n/g, "\n").split("\n").map(applyCarriageReturns);
+    const blocks = [];
+    let textLines = [];
+
+    const flushText = () => {
+        if (textLines.length) {
+            blocks.push({ type: "text", text: textLines.join("\n") });
+            textLines = [];
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const plain = stripAnsi(lines[i]).trim();
+
+        if (IMAGE_DATA_URI_PATTERN.test(plain) || BARE_PNG_PATTERN.test(plain)) {
+            flushText();
+            blocks.push({ type: "image", src: plain.startsWith("data:") ? plain : `data:image/png;base64,${plain}` });
+            continue;
+        }
+
+        const fence = FENCE_OPEN_PATTERN.exec(plain);
+        if (fence) {
+            const end = lines.findIndex((line, j) => j > i && FENCE_CLOSE_PATTERN.test(stripAnsi(line).trim()));
+            if (end !== -1) {
+                const body = lines.slice(i + 1, end).map(stripAnsi).join("\n");
+                const rows = fence[1].toLowerCase() === "csv" ? parseCsv(body.trim()) : parseJsonTable(body);
+                if (rows && rows.length) {
+                    flushText();
+                    blocks.push({ type: "table", rows });
+                    i = end;
+                    continue;
+                }
+            }
+        }
+
+        textLines.push(lines[i]);
+    }
+    flushText();
+    return blocks;
+}
+
+/**
+ * Checks whether output would look different in the rich view
+ * @param {string} text - The program output
+ * @returns {boolean} True if it has ANSI codes, carriage returns, images or tables
+ */
+export function hasRichContent(text) {
+    return /\x1b[\[\]]|\r(?!\n)/.test(text) || parseOutput(text).some(block => block.type !== "text");
+}
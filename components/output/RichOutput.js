@@ -0,0 +1,362 @@
+/**
+ * Rich Output Component
+ *
+ * Renders program output over the output panel's editor with ANSI colors,
+ * images and tables (see OutputParser.js), and SQL result sets as a grid.
+ * Clicking a column header sorts a table. The rich view only appears when
+ * the output has something to render; a Rich/Raw switch then toggles it,
+ * and the choice is remembered. The raw view is the plain output editor,
+ * which keeps answer highlighting and clickable traceback frames.
+ */
+
+import ls from "../../core/storage/LocalStorage.js";
+import { parseOutput, parseAnsi, hasRichContent } from "./OutputParser.js";
+import { parseCsv } from "../../core/utils/Csv.js";
+
+// Add styles
+const styles = document.createElement('style');
+styles.textContent = `
+    .rich-output {
+        position: absolute;
+        inset: 0;
+        overflow: auto;
+        padding: 4px 12px 40px;
+        background: var(--vscode-editor-background, #1e1e1e);
+        color: var(--vscode-editor-foreground, #d4d4d4);
+        font-family: 'JetBrains Mono', monospace;
+        z-index: 5;
+    }
+
+    .rich-output pre {
+        margin: 0;
+        font: inherit;
+        white-space: pre-wrap;
+        word-break: break-word;
+    }
+
+    .rich-output img {
+        display: block;
+        max-width: 100%;
+        margin: 6px 0;
+        background: #ffffff;
+    }
+
+    .rich-output table {
+        margin: 6px 0;
+        border-collapse: collapse;
+        font-size: 0.95em;
+    }
+
+    .rich-output th,
+    .rich-output td {
+        padding: 2px 8px;
+        border: 1px solid rgba(128, 128, 128, 0.4);
+        text-align: left;
+        white-space: pre;
+    }
+
+    .rich-output th {
+        background: rgba(128, 128, 128, 0.15);
+        cursor: pointer;
+        user-select: none;
+    }
+
+    .rich-output th[data-sort="asc"]::after { content: " ▲"; }
+    .rich-output th[data-sort="desc"]::after { content: " ▼"; }
+
+    .rich-output td.null {
+        color: #7d7d7d;
+        font-style: italic;
+    }
+
+    .rich-output .table-caption {
+        color: #9d9d9d;
+        font-size: 0.9em;
+    }
+
+    .output-view-toggle {
+        position: absolute;
+        left: 10px;
+        bottom: 10px;
+        display: flex;
+        border: 1px solid #3c3c3c;
+        border-radius: 4px;
+        overflow: hidden;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4);
+        z-index: 1000;
+    }
+
+    .output-view-toggle button {
+        padding: 3px 10px;
+        border: none;
+        background: #2d2d2d;
+        color: #9d9d9d;
+        font-family: 'JetBrains Mono', monospace;
+        font-size: 11px;
+        cursor: pointer;
+    }
+
+    .output-view-toggle button.active {
+        background: #8B6B4C;
+        color: #ffffff;
+    }
+`;
+document.head.appendChild(styles);
+
+// Constants
+const VIEW_STORAGE_KEY = "EULER_OUTPUT_VIEW";
+
+// State variables
+let editorElement = null;
+let layer = null;
+let toggle = null;
+let currentText = "";
+let currentOptions = {};
+
+/**
+ * Checks whether the user prefers the raw view
+ * @returns {boolean} True for the raw view
+ */
+function prefersRaw() {
+    return ls.get(VIEW_STORAGE_KEY) === "raw";
+}
+
+/**
+ * Converts a parsed ANSI style to inline CSS
+ * @param {Object} style - The style, see OutputParser.parseAnsi()
+ * @returns {string} The CSS declarations
+ */
+function toCss(style) {
+    const css = [];
+    if (style.color) {
+        css.push(`color: ${style.color}`);
+    }
+    if (style.background) {
+        css.push(`background: ${style.background}`);
+    }
+    if (style.bold) {
+        css.push("font-weight: bold");
+    }
+    if (style.dim) {
+        css.push("opacity: 0.7");
+    }
+    if (style.italic) {
+        css.push("font-style: italic");
+    }
+    if (style.underline) {
+        css.push("text-decoration: underline");
+    }
+    return css.join("; ");
+}
+
+/**
+ * Renders the output blocks
+ * @param {string} text - The program output
+ * @returns {DocumentFragment} The rendered output
+ */
+function render(text) {
+    const fragment = document.createDocumentFragment();
+    let style = {};    // ANSI styles carry over from one text block to the next
+
+    parseOutput(text).forEach(block => {
+        if (block.type === "text") {
+            const pre = document.createElement("pre");
+            const parsed = parseAnsi(block.text, style);
+            parsed.segments.forEach(segment => {
+                const css = toCss(segment.style);
+                if (!css) {
+                    pre.append(segment.text);
+                    return;
+                }
+                const span = document.createElement("span");
+                span.style.cssText = css;
+                span.textContent = segment.text;
+                pre.appendChild(span);
+            });
+            style = parsed.style;
+            fragment.appendChild(pre);
+        } else if (block.type === "image") {
+            const image = document.createElement("img");
+            image.src = block.src;
+            image.alt = "Image from the program output";
+            fragment.appendChild(image);
+        } else {
+            fragment.appendChild(renderTable(block.rows, block.resultSet));
+        }
+    });
+    return fragment;
+}
+
+/**
+ * Compares two cells, numerically if both are numbers
+ * @param {string} a - The first cell
+ * @param {string} b - The second cell
+ * @returns {number} The comparison result
+ */
+function compareCells(a, b) {
+    const x = Number(a);
+    const y = Number(b);
+    if (a.trim() !== "" && b.trim() !== "" && Number.isFinite(x) && Number.isFinite(y)) {
+        return x - y;
+    }
+    return a.localeCompare(b);
+}
+
+/**
+ * Renders a table whose rows can be sorted by clicking a column header:
+ * ascending, descending, then back to the output order
+ * @param {Array<Array<string>>} rows - The rows, header first
+ * @param {boolean} [resultSet] - Whether the rows are an SQL result set, whose empty cells are NULL
+ * @returns {HTMLElement} The table, with a row count caption for result sets
+ */
+function renderTable(rows, resultSet = false) {
+    const [header, ...body] = rows;
+    const table = document.createElement("table");
+    const tbody = document.createElement("tbody");
+    let sortColumn = -1;
+    let sortOrder = null;
+
+    const fillBody = () => {
+        const sorted = sortColumn === -1 ? body : [...body].sort((a, b) => {
+            const order = compareCells(a[sortColumn] ?? "", b[sortColumn] ?? "");
+            return sortOrder === "asc" ? order : -order;
+        });
+        tbody.replaceChildren(...sorted.map(row => {
+            const tr = document.createElement("tr");
+            row.forEach(value => {
+                const cell = document.createElement("td");
+                if (resultSet && value === "") {
+                    cell.className = "null";
+                    cell.textContent = "NULL";
+                } else {
+                    cell.textContent = value;
+                }
+                tr.appendChild(cell);
+            });
+            return tr;
+        }));
+    };
+
+    const headRow = document.createElement("tr");
+    header.forEach((name, column) => {
+        const cell = document.createElement("th");
+        cell.textContent = name;
+        cell.title = "Sort";
+        cell.addEventListener("click", () => {
+            if (sortColumn !== column) {
+                sortColumn = column;
+                sortOrder = "asc";
+            } else if (sortOrder === "asc") {
+                sortOrder = "desc";
+            } else {
+                sortColumn = -1;
+                sortOrder = null;
+            }
+            headRow.querySelectorAll("th").forEach((th, i) => {
+                if (i === sortColumn) {
+                    th.dataset.sort = sortOrder;
+                } else {
+                    delete th.dataset.sort;
+                }
+            });
+            fillBody();
+        });
+        headRow.appendChild(cell);
+    });
+    const thead = document.createElement("thead");
+    thead.appendChild(headRow);
+    table.append(thead, tbody);
+    fillBody();
+
+    if (!resultSet) {
+        return table;
+    }
+    const wrapper = document.createElement("div");
+    const caption = document.createElement("div");
+    caption.className = "table-caption";
+    caption.textContent = `${body.length} ${body.length === 1 ? "row" : "rows"}`;
+    wrapper.append(table, caption);
+    return wrapper;
+}
+
+/**
+ * Shows the rich or the raw view of the current output
+ * @param {boolean} raw - True for the raw view
+ */
+function showView(raw) {
+    layer.style.display = raw ? "none" : "";
+    toggle.querySelectorAll("button").forEach(button => {
+        button.classList.toggle("active", (button.dataset.view === "raw") === raw);
+    });
+}
+
+/**
+ * Switches between the rich and the raw view and remembers the choice
+ * @param {boolean} raw - True for the raw view
+ */
+function selectView(raw) {
+    ls.set(VIEW_STORAGE_KEY, raw ? "raw" : null);
+    showView(raw);
+}
+
+/**
+ * Attaches the rich view to the output editor
+ * @param {monaco.editor.IStandaloneCodeEditor} stdoutEditor - The output editor
+ */
+export function initialize(stdoutEditor) {
+    editorElement = stdoutEditor.getDomNode();
+    editorElement.style.position = 'relative';
+
+    layer = document.createElement("div");
+    layer.className = "rich-output";
+
+    toggle = document.createElement("div");
+    toggle.className = "output-view-toggle";
+    toggle.title = "Rich view: ANSI colors, data:image/png;base64 lines and ```csv / ```json tables";
+    [["rich", "Rich"], ["raw", "Raw"]].forEach(([view, label]) => {
+        const button = document.createElement("button");
+        button.dataset.view = view;
+        button.textContent = label;
+        button.addEventListener("click", () => selectView(view === "raw"));
+        toggle.appendChild(button);
+    });
+
+    update(currentText, currentOptions);
+}
+
+/**
+ * Shows new output. The rich view and its switch only appear if the
+ * output has something to render.
+ * @param {string} text - The program output
+ * @param {{resultSet?: boolean}} [options] - resultSet: the output is CSV with a header row
+ *        (see sql/SqlTrack.js), shown as one table
+ */
+export function update(text, options = {}) {
+    currentText = text;
+    currentOptions = options;
+    if (!editorElement) {
+        return;
+    }
+
+    const resultSet = options.resultSet ? parseCsv(text.trim()) : [];
+    if (resultSet.length === 0 && !hasRichContent(text)) {
+        layer.remove();
+        toggle.remove();
+        layer.replaceChildren();
+        return;
+    }
+
+    layer.replaceChildren(resultSet.length ? renderTable(resultSet, true) : render(text));
+    editorElement.append(layer, toggle);
+    showView(prefersRaw());
+}
+
+/**
+ * Sets the font size of the rich view
+ * @param {number} fontSize - The font size in pixels
+ */
+export function setFontSize(fontSize) {
+    if (layer) {
+        layer.style.fontSize = `${fontSize}px`;
+    }
+}
@@ -0,0 +1,75 @@
+/**
+ * Heat Map Component
+ *
+ * Colors the lines of the workspace files by the time a profile run spent
+ * on them (see Profiler.js): five shades, relative to the slowest line, with
+ * hits and time on hover. Lines under MIN_SHARE of the slowest stay plain.
+ */
+
+import * as WorkspaceTabs from "../editor/WorkspaceTabs.js";
+import { formatTime } from "./Profiler.js";
+import { MAIN_FILE } from "../compiler/Harness.js";
+
+// Constants
+const LEVELS = 5;
+const MIN_SHARE = 0.01;
+
+// State variables
+let decorated = [];                 // [{model, ids}]
+
+/**
+ * Returns the workspace model of a profiled file
+ * @param {string} file - The file name in the profile
+ * @returns {monaco.editor.ITextModel|null} The model, or null if the file is not in the workspace
+ */
+function modelOf(file) {
+    return file === MAIN_FILE ? WorkspaceTabs.getMainModel() : WorkspaceTabs.getModel(file);
+}
+
+/**
+ * Shows the line times of a profile run on the workspace files
+ * @param {Object} stats - The stats, see Profiler.extractProfile()
+ */
+export function show(stats) {
+    clear();
+
+    const slowest = Math.max(0, ...stats.lines.map(entry => entry.time));
+    if (slowest === 0) {
+        return;
+    }
+
+    const decorationsByModel = new Map();
+    stats.lines.forEach(entry => {
+        const share = entry.time / slowest;
+        const model = modelOf(entry.file);
+        if (share < MIN_SHARE || !model || entry.line > model.getLineCount()) {
+            return;
+        }
+        const level = Math.max(1, Math.ceil(share * LEVELS));
+        const percent = stats.totalTime > 0 ? ` (${(100 * entry.time / stats.totalTime).toFixed(1)}% of the run)` : "";
+        const decorations = decorationsByModel.get(model) || [];
+        decorations.push({
+            range: new monaco.Range(entry.line, 1, entry.line, 1),
+            options: {
+                isWholeLine: true,
+                className: `profile-heat-${level}`,
+                hoverMessage: { value: `**${formatTime(entry.time)}**${percent}, ${entry.hits} hits` }
+            }
+        });
+        decorationsByModel.set(model, decorations);
+    });
+    decorated = [...decorationsByModel].map(([model, decorations]) => ({
+        model,
+        ids: model.deltaDecorations([], decorations)
+    }));
+}
+
+/**
+ * Removes the heat map of the last profile run
+ */
+export function clear() {
+    decorated
+        .filter(({ model }) => !model.isDisposed())
+        .forEach(({ model, ids }) => model.deltaDecorations(ids, []));
+    decorated = [];
+}
@@ -0,0 +1,156 @@
+/**
+ * Profiler Component
+ *
+ * Profile runs of Python solutions. The solution is wrapped in a harness
+ * (data/harness/profile.py) that runs it under cProfile and a line tracer on
+ * the execution backend, then prints the stats as one JSON line after the
+ * program output:
+ *
+ * {version: 1, totalTime, stopped: null|"time", timeBudget, lines: [{file, line, hits, time}],
+ *  functions: [{file, line, name, calls, primitiveCalls, ownTime, totalTime}]}
+ *
+ * The harness stops the solution when its time budget runs out, so that the
+ * stats so far are printed before the backend's time limit kills the run.
+ *
+ * Files are named as in tracebacks: MAIN_FILE for the main source, the
+ * helper file's name otherwise. Times are in seconds; a line's time includes
+ * the calls made from it.
+ */
+
+import { encode } from "../../core/utils/Base64.js";
+import { getLanguageBaseName } from "../../core/editor/EditorLanguages.js";
+import { loadHarness as load, extractHarnessOutput, MAIN_FILE } from "../compiler/Harness.js";
+
+// Constants
+const SOURCE_PLACEHOLDER = "{{SOURCE_BASE64}}";
+const TIME_BUDGET_PLACEHOLDER = "{{TIME_BUDGET}}";
+const MARKER = "__EULER_PROFILE__";
+const MAX_REPORTED_LINES = 15;
+const MAX_REPORTED_FUNCTIONS = 15;
+const MAX_CODE_LENGTH = 60;
+
+/**
+ * Checks whether runs in a language can be profiled
+ * @param {{name: string}} language - The language
+ * @returns {boolean} True for Python
+ */
+export function appliesTo(language) {
+    return getLanguageBaseName(language?.name) === "python";
+}
+
+/**
+ * Loads the profile harness
+ * @returns {Promise<string>} The harness source; rejects with a jqXHR-like error
+ */
+export function loadHarness() {
+    return load("profile");
+}
+
+/**
+ * Wraps a solution in the harness
+ * @param {string} harness - The harness source, see loadHarness()
+ * @param {string} source - The solution
+ * @param {number} timeBudget - Seconds after which the solution is stopped and the stats so far
+ *        printed; keep it below the backend's time limit
+ * @returns {string} The program to submit instead of the solution
+ */
+export function wrapSource(harness, source, timeBudget) {
+    return harness
+        .replace(SOURCE_PLACEHOLDER, encode(source))
+        .replace(TIME_BUDGET_PLACEHOLDER, String(timeBudget));
+}
+
+/**
+ * Separates the program output from the stats printed by the harness
+ * @param {string} stdout - The output of a profiled run
+ * @returns {{output: string, stats: Object|null}} The program output, and the stats or null
+ *          if the run ended before printing them (e.g. on a time limit)
+ */
+export function extractProfile(stdout) {
+    const { output, data } = extractHarnessOutput(stdout, MARKER);
+    return { output, stats: data?.version === 1 ? data : null };
+}
+
+/**
+ * Returns the lines that took longest, slowest first
+ * @param {Object} stats - The stats, see extractProfile()
+ * @param {number} [count] - The number of lines
+ * @returns {Array<{file: string, line: number, hits: number, time: number}>} The lines
+ */
+export function getHottestLines(stats, count = MAX_REPORTED_LINES) {
+    return [...stats.lines].sort((a, b) => b.time - a.time).slice(0, count);
+}
+
+/**
+ * Formats a number of seconds for the report
+ * @param {number} seconds - The time
+ * @returns {string} The time in milliseconds
+ */
+export function formatTime(seconds) {
+    const ms = seconds * 1000;
+    return ms >= 100 ? `${Math.round(ms)}ms` : `${ms.toFixed(ms >= 1 ? 1 : 3)}ms`;
+}
+
+/**
+ * Quotes a CSV cell if needed
+ * @param {string|number} value - The cell
+ * @returns {string} The CSV field
+ */
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats rows as a fenced CSV block, which the output panel shows as a table
+ * @param {Array<Array<string|number>>} rows - The rows, header first
+ * @returns {string} The block
+ */
+function csvBlock(rows) {
+    return ["```csv", ...rows.map(row => row.map(csvField).join(",")), "```"].join("\n");
+}
+
+/**
+ * Formats the stats as a report of the hottest lines and functions
+ * @param {Object} stats - The stats, see extractProfile()
+ * @param {Object<string, string>} sources - The profiled files' contents by name, MAIN_FILE
+ *        for the main source, to quote the hottest lines
+ * @returns {string} The report
+ */
+export function formatReport(stats, sources) {
+    const total = stats.totalTime;
+    const percent = time => total > 0 ? `${(100 * time / total).toFixed(1)}%` : "-";
+    const code = (file, line) => {
+        const text = (sources[file] || "").split("\n")[line - 1]?.trim() || "";
+        return text.length > MAX_CODE_LENGTH ? `${text.slice(0, MAX_CODE_LENGTH - 1)}…` : text;
+    };
+    const where = (file, line) => file === MAIN_FILE ? `line ${line}` : `${file}:${line}`;
+
+    const lines = csvBlock([
+        ["Line", "Code", "Hits", "Time", "Share"],
+        ...getHottestLines(stats).map(entry => [
+            where(entry.file, entry.line), code(entry.file, entry.line), entry.hits, formatTime(entry.time), percent(entry.time)
+        ])
+    ]);
+    const functions = csvBlock([
+        ["Function", "Defined at", "Calls", "Own time", "Total time"],
+        ...stats.functions.slice(0, MAX_REPORTED_FUNCTIONS).map(entry => [
+            entry.name,
+            entry.file ? where(entry.file, entry.line) : "built-in",
+            entry.calls === entry.primitiveCalls ? entry.calls : `${entry.calls}/${entry.primitiveCalls}`,
+            formatTime(entry.ownTime),
+            formatTime(entry.totalTime)
+        ])
+    ]);
+
+    const stopped = stats.stopped === "time"
+        ? `\n\nThe profile's time budget of ${stats.timeBudget}s ran out, so the program was stopped and these stats cover only the start of the run.`
+        : "";
+    return [
+        `Profile: ${formatTime(total)} in total (times include profiling overhead; a line's time includes its calls)${stopped}`,
+        "Hottest lines:",
+        lines,
+        "Hottest functions, by own time (calls shown as total/primitive when recursive):",
+        functions
+    ].join("\n\n");
+}
@@ -0,0 +1,79 @@
+/**
+ * Run History Component
+ *
+ * Records every execution of a problem in IndexedDB: the code snapshot,
+ * its output, verdict and resource usage. Older runs are pruned so each
+ * problem keeps at most MAX_RUNS_PER_PROBLEM entries.
+ */
+
+import db from "../../core/storage/AppDatabase.js";
+
+// Constants
+const STORE = "runs";
+const MAX_RUNS_PER_PROBLEM = 200;
+
+export const RUN_RECORDED_EVENT = "run-recorded";
+
+/**
+ * Records a run and notifies listeners with a "run-recorded" window event
+ * @param {Object} run - The run
+ * @param {number} run.problemId - The problem ID
+ * @param {{flavor: string, language_id: number, name: string}} run.language - The language
+ * @param {string} run.source - The submitted code
+ * @param {Array<{name: string, content: string}>} [run.files] - The helper files shipped with the code
+ * @param {string} run.stdin - The program input
+ * @param {string} run.stdout - The standard output (including the compiler output)
+ * @param {string} run.stderr - The standard error
+ * @param {string} run.status - The execution status, e.g. "Accepted"
+ * @param {string|null} run.verdict - The answer verdict, or null if the answer was not checked
+ * @param {number|null} run.time - The run time in seconds
+ * @param {number|null} run.memory - The memory usage in KB
+ * @param {number} run.tat - The turnaround time in milliseconds
+ * @returns {Promise<Object|null>} The stored run with its id and timestamp, or null if it could not be stored
+ */
+export async function recordRun(run) {
+    const record = { ...run, createdAt: Date.now() };
+    try {
+        record.id = await db.add(STORE, record);
+        await prune(run.problemId);
+    } catch (error) {
+        console.error("Failed to record run:", error);
+        return null;
+    }
+    window.dispatchEvent(new CustomEvent(RUN_RECORDED_EVENT, { detail: record }));
+    return record;
+}
+
+/**
+ * Deletes the oldest runs of a problem beyond the limit
+ * @param {number} problemId - The problem ID
+ */
+async function prune(problemId) {
+    const runs = await db.getAllByIndex(STORE, "problemId", problemId);
+    const excess = runs.slice(0, Math.max(0, runs.length - MAX_RUNS_PER_PROBLEM));
+    await Promise.all(excess.map(run => db.delete(STORE, run.id)));
+}
+
+/**
+ * Returns the runs of a problem
+ * @param {number} problemId - The problem ID
+ * @returns {Promise<Array<Object>>} The runs, newest first
+ */
+export async function getRuns(problemId) {
+    try {
+        const runs = await db.getAllByIndex(STORE, "problemId", problemId);
+        return runs.reverse();
+    } catch (error) {
+        console.error("Failed to load runs:", error);
+        return [];
+    }
+}
+
+/**
+ * Deletes a run
+ * @param {number} id - The run ID
+ * @returns {Promise<void>} Resolves when deleted
+ */
+export function deleteRun(id) {
+    return db.delete(STORE, id);
+}
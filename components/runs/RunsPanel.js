@@ -0,0 +1,441 @@
+/**
+ * Runs Panel Component
+ *
+ * Lists the recorded runs of the current problem (see RunHistory.js) in a
+ * GoldenLayout panel. A run's code can be restored into the editor, and
+ * two selected runs can be compared side by side, code or output, in the
+ * Monaco diff editor.
+ */
+
+import * as RunHistory from "./RunHistory.js";
+import { getEditorLanguageMode } from "../../core/editor/EditorLanguages.js";
+import { VERDICT_TITLES } from "../compiler/VerdictBanner.js";
+
+export const RESTORE_RUN_EVENT = "restore-run";
+
+// Add styles
+const styles = document.createElement('style');
+styles.textContent = `
+    .runs-container {
+        height: 100%;
+        display: flex;
+        flex-direction: column;
+        background: #1e1e1e;
+        color: #d4d4d4;
+        font-family: 'JetBrains Mono', monospace;
+        font-size: 12px;
+    }
+
+    .runs-toolbar {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 8px 10px;
+        border-bottom: 1px solid #3c3c3c;
+    }
+
+    .runs-toolbar .runs-summary {
+        flex: 1;
+        color: #9d9d9d;
+    }
+
+    .runs-button {
+        padding: 3px 8px;
+        border: 1px solid #555;
+        border-radius: 3px;
+        background: #2d2d2d;
+        color: #d4d4d4;
+        font-family: inherit;
+        font-size: 11px;
+        cursor: pointer;
+    }
+
+    .runs-button:hover:not(:disabled) {
+        border-color: #8B6B4C;
+    }
+
+    .runs-button:disabled {
+        opacity: 0.5;
+        cursor: default;
+    }
+
+    .runs-list {
+        flex: 1;
+        overflow-y: auto;
+        margin: 0;
+        padding: 0;
+        list-style: none;
+    }
+
+    .run-item {
+        display: grid;
+        grid-template-columns: auto 1fr auto;
+        gap: 2px 8px;
+        padding: 6px 10px;
+        border-bottom: 1px solid #2d2d2d;
+    }
+
+    .run-item.selected {
+        background: #2a2d2e;
+    }
+
+    .run-item input {
+        grid-row: span 2;
+        align-self: center;
+    }
+
+    .run-title {
+        font-weight: bold;
+    }
+
+    .run-details {
+        grid-column: 2;
+        color: #9d9d9d;
+    }
+
+    .run-actions {
+        grid-row: span 2;
+        align-self: center;
+        display: flex;
+        gap: 4px;
+    }
+
+    .run-verdict.correct { color: #4CAF50; }
+    .run-verdict.too-slow,
+    .run-verdict.over-budget { color: #FF9800; }
+    .run-verdict.wrong,
+    .run-verdict.tests-failed,
+    .run-verdict.check-failed,
+    .run-verdict.error { color: #f44336; }
+    .run-verdict.throttled,
+    .run-verdict.no-answer,
+    .run-verdict.backend-limit { color: #FFB300; }
+
+    .runs-empty {
+        padding: 20px 10px;
+        color: #9d9d9d;
+        text-align: center;
+    }
+
+    .runs-diff-overlay {
+        position: fixed;
+        inset: 0;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(0, 0, 0, 0.6);
+        z-index: 2000;
+    }
+
+    .runs-diff-dialog {
+        display: flex;
+        flex-direction: column;
+        width: 90vw;
+        height: 80vh;
+        background: #1e1e1e;
+        color: #d4d4d4;
+        border-radius: 6px;
+        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.5);
+        font-family: 'JetBrains Mono', monospace;
+        font-size: 12px;
+        overflow: hidden;
+    }
+
+    .runs-diff-header {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 8px 12px;
+        border-bottom: 1px solid #3c3c3c;
+    }
+
+    .runs-diff-header .runs-diff-title {
+        flex: 1;
+    }
+
+    .runs-button.active {
+        border-color: #8B6B4C;
+        background: #8B6B4C;
+        color: #ffffff;
+    }
+
+    .runs-diff-editor {
+        flex: 1;
+        min-height: 0;
+    }
+`;
+document.head.appendChild(styles);
+
+// State variables
+let currentProblem = null;
+let runs = [];
+let selectedIds = [];
+let listElement = null;
+let summaryElement = null;
+let compareButton = null;
+
+/**
+ * Formats a timestamp for the run list
+ * @param {number} timestamp - The timestamp
+ * @returns {string} The formatted date and time
+ */
+function formatTimestamp(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, {
+        month: "short", day: "numeric", hour: "2-digit", minute: "2-digit", second: "2-digit"
+    });
+}
+
+/**
+ * Returns the display number of a run (1 for the oldest)
+ * @param {Object} run - The run
+ * @returns {number} The run number
+ */
+function runNumber(run) {
+    return runs.length - runs.indexOf(run);
+}
+
+/**
+ * Returns the text compared in the output diff
+ * @param {Object} run - The run
+ * @returns {string} The output
+ */
+function runOutput(run) {
+    return [run.stdout, run.stderr].filter(Boolean).join("\n");
+}
+
+/**
+ * Creates a small button
+ * @param {string} label - The button label
+ * @param {function(): void} onClick - The click handler
+ * @returns {HTMLButtonElement} The button
+ */
+function createButton(label, onClick) {
+    const button = document.createElement("button");
+    button.className = "runs-button";
+    button.textContent = label;
+    button.addEventListener("click", onClick);
+    return button;
+}
+
+/**
+ * Creates the list item for a run
+ * @param {Object} run - The run
+ * @returns {HTMLLIElement} The list item
+ */
+function createRunItem(run) {
+    const item = document.createElement("li");
+    item.className = `run-item${selectedIds.includes(run.id) ? " selected" : ""}`;
+
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.title = "Select to compare";
+    checkbox.checked = selectedIds.includes(run.id);
+    checkbox.addEventListener("change", () => toggleSelection(run.id));
+
+    const title = document.createElement("div");
+    title.className = "run-title";
+    const verdict = run.verdict || (run.status === "Accepted" ? null : "error");
+    title.append(`#${runNumber(run)} · ${formatTimestamp(run.createdAt)} · `);
+    const verdictElement = document.createElement("span");
+    verdictElement.className = `run-verdict ${verdict || ""}`;
+    verdictElement.textContent = verdict && verdict !== "error" ? VERDICT_TITLES[verdict] || verdict : run.status;
+    title.appendChild(verdictElement);
+
+    const details = document.createElement("div");
+    details.className = "run-details";
+    const time = run.time === null ? "-" : `${run.time}s`;
+    const memory = run.memory === null ? "-" : `${run.memory}KB`;
+    details.textContent = `${run.language?.name || "Unknown language"} · ${time} · ${memory} · TAT ${run.tat}ms`;
+
+    const actions = document.createElement("div");
+    actions.className = "run-actions";
+    actions.append(
+        createButton("Restore", () => window.dispatchEvent(new CustomEvent(RESTORE_RUN_EVENT, { detail: run }))),
+        createButton("Delete", () => removeRun(run.id))
+    );
+
+    item.append(checkbox, title, actions, details);
+    return item;
+}
+
+/**
+ * Renders the run list
+ */
+function render() {
+    if (!listElement) {
+        return;
+    }
+
+    listElement.innerHTML = "";
+    if (runs.length === 0) {
+        const empty = document.createElement("li");
+        empty.className = "runs-empty";
+        empty.textContent = "No runs yet. Every run of this problem is recorded here.";
+        listElement.appendChild(empty);
+    }
+    runs.forEach(run => listElement.appendChild(createRunItem(run)));
+
+    summaryElement.textContent = selectedIds.length ? `${selectedIds.length} of 2 selected` : `${runs.length} runs`;
+    compareButton.disabled = selectedIds.length !== 2;
+}
+
+/**
+ * Selects or deselects a run for comparison; selecting a third run
+ * replaces the oldest selection
+ * @param {number} id - The run ID
+ */
+function toggleSelection(id) {
+    if (selectedIds.includes(id)) {
+        selectedIds = selectedIds.filter(selected => selected !== id);
+    } else {
+        selectedIds = [...selectedIds, id].slice(-2);
+    }
+    render();
+}
+
+/**
+ * Deletes a run and refreshes the list
+ * @param {number} id - The run ID
+ */
+async function removeRun(id) {
+    try {
+        await RunHistory.deleteRun(id);
+    } catch (error) {
+        console.error("Failed to delete run:", error);
+    }
+    selectedIds = selectedIds.filter(selected => selected !== id);
+    await refresh();
+}
+
+/**
+ * Reloads the runs of the current problem
+ */
+async function refresh() {
+    runs = currentProblem ? await RunHistory.getRuns(currentProblem.id) : [];
+    selectedIds = selectedIds.filter(id => runs.some(run => run.id === id));
+    render();
+}
+
+/**
+ * Opens the diff editor comparing the two selected runs, older on the left
+ */
+function showComparison() {
+    const [older, newer] = runs
+        .filter(run => selectedIds.includes(run.id))
+        .sort((a, b) => a.createdAt - b.createdAt);
+    if (!older || !newer) {
+        return;
+    }
+
+    const overlay = document.createElement("div");
+    overlay.className = "runs-diff-overlay";
+    overlay.innerHTML = `
+        <div class="runs-diff-dialog">
+            <div class="runs-diff-header">
+                <span class="runs-diff-title"></span>
+            </div>
+            <div class="runs-diff-editor"></div>
+        </div>
+    `;
+    overlay.querySelector(".runs-diff-title").textContent = `Run #${runNumber(older)} ↔ Run #${runNumber(newer)}`;
+    document.body.appendChild(overlay);
+
+    const diffEditor = monaco.editor.createDiffEditor(overlay.querySelector(".runs-diff-editor"), {
+        automaticLayout: true,
+        readOnly: true,
+        renderSideBySide: true,
+        fontFamily: "JetBrains Mono",
+        minimap: { enabled: false }
+    });
+    let models = [];
+
+    const showDiff = (original, modified, language) => {
+        models.forEach(model => model.dispose());
+        models = [
+            monaco.editor.createModel(original, language),
+            monaco.editor.createModel(modified, language)
+        ];
+        diffEditor.setModel({ original: models[0], modified: models[1] });
+    };
+
+    const header = overlay.querySelector(".runs-diff-header");
+    const codeButton = createButton("Code", () => selectTab(codeButton));
+    const outputButton = createButton("Output", () => selectTab(outputButton));
+    const selectTab = button => {
+        codeButton.classList.toggle("active", button === codeButton);
+        outputButton.classList.toggle("active", button === outputButton);
+        if (button === codeButton) {
+            showDiff(older.source, newer.source, getEditorLanguageMode(newer.language?.name));
+        } else {
+            showDiff(runOutput(older), runOutput(newer), "plaintext");
+        }
+    };
+
+    const close = () => {
+        diffEditor.dispose();
+        models.forEach(model => model.dispose());
+        overlay.remove();
+        document.removeEventListener("keydown", closeOnEscape);
+    };
+    const closeOnEscape = event => {
+        if (event.key === "Escape") {
+            close();
+        }
+    };
+
+    header.append(codeButton, outputButton, createButton("Close", close));
+    overlay.addEventListener("click", event => {
+        if (event.target === overlay) {
+            close();
+        }
+    });
+    document.addEventListener("keydown", closeOnEscape);
+    selectTab(codeButton);
+}
+
+/**
+ * Creates the panel UI
+ * @param {HTMLElement} container - The panel element
+ */
+function createRunsUI(container) {
+    container.innerHTML = `
+        <div class="runs-container">
+            <div class="runs-toolbar">
+                <span class="runs-summary"></span>
+            </div>
+            <ul class="runs-list"></ul>
+        </div>
+    `;
+    listElement = container.querySelector(".runs-list");
+    summaryElement = container.querySelector(".runs-summary");
+    compareButton = createButton("Compare", showComparison);
+    compareButton.title = "Select two runs to compare their code and output";
+    container.querySelector(".runs-toolbar").appendChild(compareButton);
+    render();
+}
+
+/**
+ * Registers the Runs panel with the layout
+ * @param {GoldenLayout} layout - The GoldenLayout instance
+ */
+export function initialize(layout) {
+    layout.registerComponent("runs", function (container, state) {
+        createRunsUI(container.getElement()[0]);
+    });
+
+    window.addEventListener(RunHistory.RUN_RECORDED_EVENT, event => {
+        if (currentProblem && event.detail.problemId === currentProblem.id) {
+            refresh();
+        }
+    });
+}
+
+/**
+ * Shows the runs of a problem
+ * @param {Object} problem - The problem
+ */
+export function updateProblemContext(problem) {
+    currentProblem = problem;
+    selectedIds = [];
+    refresh();
+}
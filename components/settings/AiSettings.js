@@ -0,0 +1,160 @@
+/**
+ * AI Settings Component
+ *
+ * Keeps the user's own settings for the AI features (chat, composer and
+ * code completion) in local storage under EULER_AI_SETTINGS:
+ *
+ * - provider        "gemini" (default), "openai" for any OpenAI-compatible
+ *                   chat completions API, or "ollama" for a local Ollama server
+ * - apiKey          The provider's API key
+ * - endpoint        The API base URL, to use a proxy or an in-house server
+ * - model           The model name
+ * - timeoutSeconds  How long to wait for an answer (default 60)
+ *
+ * Only values that differ from the provider's defaults are stored. Requests
+ * are made by LlmClient.js; nothing is sent anywhere but the endpoint.
+ */
+
+import ls from "../../core/storage/LocalStorage.js";
+
+// Constants
+const STORAGE_KEY = "EULER_AI_SETTINGS";
+const LEGACY_GEMINI_ENDPOINT_PATTERN = /^(.*)\/models\/([^/:]+):generateContent$/;   // Stored before models were selectable
+
+export const DEFAULT_AI_PROVIDER = "gemini";
+export const DEFAULT_AI_TIMEOUT_SECONDS = 60;
+export const NOT_CONFIGURED_MESSAGE = "The AI assistant is not configured. Choose a provider and add its API key in Settings.";
+
+// Providers by name. Without a key, a provider that requires one is only
+// used with a custom endpoint, which may add the key itself.
+export const AI_PROVIDERS = {
+    "gemini": {
+        label: "Google Gemini",
+        endpoint: "https://generativelanguage.googleapis.com/v1",
+        model: "gemini-pro",
+        requiresKey: true
+    },
+    "openai": {
+        label: "OpenAI-compatible",
+        endpoint: "https://api.openai.com/v1",
+        model: "gpt-4o-mini",
+        requiresKey: true
+    },
+    "ollama": {
+        label: "Ollama (local)",
+        endpoint: "http://localhost:11434",
+        model: "llama3",
+        requiresKey: false
+    }
+};
+
+export const AI_PROVIDER_NAMES = Object.keys(AI_PROVIDERS);
+
+// State variables
+const listeners = [];
+
+/**
+ * Returns the stored AI settings, with defaults filled in
+ * @returns {{provider: string, apiKey: string, endpoint: string, model: string, timeoutSeconds: number}} The settings
+ */
+export function getAiSettings() {
+    const stored = { ...ls.get(STORAGE_KEY) };
+
+    // Settings from before providers existed hold a full Gemini URL
+    const legacy = !stored.provider && typeof stored.endpoint === "string" && stored.endpoint.match(LEGACY_GEMINI_ENDPOINT_PATTERN);
+    if (legacy) {
+        stored.endpoint = legacy[1];
+        stored.model = stored.model || legacy[2];
+    }
+
+    const provider = AI_PROVIDERS[stored.provider] ? stored.provider : DEFAULT_AI_PROVIDER;
+    const defaults = AI_PROVIDERS[provider];
+    return {
+        provider,
+        apiKey: typeof stored.apiKey === "string" ? stored.apiKey : "",
+        endpoint: typeof stored.endpoint === "string" && stored.endpoint ? stored.endpoint.replace(/\/+$/, "") : defaults.endpoint,
+        model: typeof stored.model === "string" && stored.model ? stored.model : defaults.model,
+        timeoutSeconds: typeof stored.timeoutSeconds === "number" && stored.timeoutSeconds > 0 ? stored.timeoutSeconds : DEFAULT_AI_TIMEOUT_SECONDS
+    };
+}
+
+/**
+ * Validates AI settings
+ * @param {{provider?: string, apiKey?: string, endpoint?: string, model?: string, timeoutSeconds?: number}} settings - The settings
+ * @returns {Array<string>} The problems found; empty if the settings are valid
+ */
+export function validateAiSettings(settings) {
+    const problems = [];
+    if (settings.provider && !AI_PROVIDERS[settings.provider]) {
+        problems.push(`Unknown AI provider ${JSON.stringify(settings.provider)}; expected one of ${AI_PROVIDER_NAMES.join(", ")}`);
+    }
+    if (settings.endpoint && !/^https?:\/\/\S+$/i.test(settings.endpoint)) {
+        problems.push("The AI endpoint needs an http(s) URL");
+    }
+    if (settings.apiKey && /\s/.test(settings.apiKey)) {
+        problems.push("The API key must not contain spaces");
+    }
+    if (settings.model && /\s/.test(settings.model)) {
+        problems.push("The model name must not contain spaces");
+    }
+    if (settings.timeoutSeconds !== undefined && !(typeof settings.timeoutSeconds === "number" && settings.timeoutSeconds > 0)) {
+        problems.push("The AI timeout must be a positive number of seconds");
+    }
+    return problems;
+}
+
+/**
+ * Stores AI settings and notifies the listeners. Blank values fall back
+ * to the provider's defaults; with nothing but defaults the entry is removed.
+ * @param {{provider?: string, apiKey?: string, endpoint?: string, model?: string, timeoutSeconds?: number}} settings - The settings
+ * @throws {Error} If the settings are invalid
+ */
+export function setAiSettings(settings) {
+    const provider = settings.provider || DEFAULT_AI_PROVIDER;
+    const apiKey = (settings.apiKey || "").trim();
+    const endpoint = (settings.endpoint || "").trim().replace(/\/+$/, "");
+    const model = (settings.model || "").trim();
+    const { timeoutSeconds } = settings;
+    const problems = validateAiSettings({ provider, apiKey, endpoint, model, timeoutSeconds });
+    if (problems.length > 0) {
+        throw new Error(problems.join("; "));
+    }
+
+    const defaults = AI_PROVIDERS[provider];
+    const stored = {};
+    if (provider !== DEFAULT_AI_PROVIDER) {
+        stored.provider = provider;
+    }
+    if (apiKey) {
+        stored.apiKey = apiKey;
+    }
+    if (endpoint && endpoint !== defaults.endpoint) {
+        stored.endpoint = endpoint;
+    }
+    if (model && model !== defaults.model) {
+        stored.model = model;
+    }
+    if (timeoutSeconds !== undefined && timeoutSeconds !== DEFAULT_AI_TIMEOUT_SECONDS) {
+        stored.timeoutSeconds = timeoutSeconds;
+    }
+    ls.set(STORAGE_KEY, Object.keys(stored).length ? stored : null);
+    listeners.forEach(listener => listener(getAiSettings()));
+}
+
+/**
+ * Checks whether the AI features can make requests
+ * @returns {boolean} True if the provider has a key, or does not need one
+ */
+export function isAiConfigured() {
+    const settings = getAiSettings();
+    const defaults = AI_PROVIDERS[settings.provider];
+    return settings.apiKey !== "" || !defaults.requiresKey || settings.endpoint !== defaults.endpoint;
+}
+
+/**
+ * Registers a listener for settings changes
+ * @param {function(Object): void} listener - Called with the new settings, see getAiSettings()
+ */
+export function onChange(listener) {
+    listeners.push(listener);
+}
@@ -0,0 +1,490 @@
+/**
+ * Settings Dialog Component
+ *
+ * Lets the user enter their own credentials and endpoints: where code runs
+ * (see ExecutionBackend.js) and which model the AI features use (see
+ * AiSettings.js). Everything is kept in local storage, in this browser only.
+ * Also provides the "not configured" notice shown by the AI panels.
+ */
+
+import * as ExecutionBackend from "../compiler/ExecutionBackend.js";
+import * as AiSettings from "./AiSettings.js";
+
+// Add styles
+const styles = document.createElement('style');
+styles.textContent = `
+    .settings-dialog {
+        display: none;
+        position: fixed;
+        inset: 0;
+        background: rgba(0, 0, 0, 0.7);
+        z-index: 1001;
+    }
+
+    .settings-dialog.show {
+        display: flex;
+    }
+
+    .settings-content {
+        margin: auto;
+        width: 90%;
+        max-width: 520px;
+        max-height: 90vh;
+        overflow-y: auto;
+        padding: 20px 24px;
+        border-radius: 8px;
+        background: #1e1e1e;
+        color: #d4d4d4;
+        font-family: 'JetBrains Mono', monospace;
+        font-size: 12px;
+        box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
+    }
+
+    .settings-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        margin-bottom: 12px;
+    }
+
+    .settings-header h2 {
+        margin: 0;
+        color: #ffffff;
+        font-family: inherit;
+        font-size: 1.4em;
+    }
+
+    .settings-close {
+        background: none;
+        border: none;
+        color: #ffffff;
+        font-size: 22px;
+        cursor: pointer;
+        opacity: 0.7;
+    }
+
+    .settings-close:hover {
+        opacity: 1;
+    }
+
+    .settings-section {
+        margin-top: 14px;
+    }
+
+    .settings-section h3 {
+        display: flex;
+        justify-content: space-between;
+        align-items: baseline;
+        margin: 0 0 6px;
+        color: #ffffff;
+        font-family: inherit;
+        font-size: 1.1em;
+    }
+
+    .settings-status {
+        font-size: 11px;
+        font-weight: normal;
+        color: #4CAF50;
+    }
+
+    .settings-status.missing {
+        color: #FFB74D;
+    }
+
+    .settings-field {
+        display: block;
+        margin-bottom: 8px;
+    }
+
+    .settings-field span {
+        display: block;
+        margin-bottom: 2px;
+        color: #9d9d9d;
+    }
+
+    .settings-field input,
+    .settings-field select {
+        width: 100%;
+        padding: 5px 8px;
+        border: 1px solid #3c3c3c;
+        border-radius: 4px;
+        background: #2d2d2d;
+        color: #d4d4d4;
+        font-family: inherit;
+        font-size: 12px;
+    }
+
+    .settings-hint {
+        margin: -4px 0 8px;
+        color: #7d7d7d;
+    }
+
+    .settings-hint a {
+        color: #C49A6C;
+    }
+
+    .settings-errors {
+        margin-top: 10px;
+        color: #f44336;
+        white-space: pre-line;
+    }
+
+    .settings-actions {
+        display: flex;
+        justify-content: flex-end;
+        gap: 8px;
+        margin-top: 16px;
+    }
+
+    .settings-actions button {
+        padding: 6px 14px;
+        border: 1px solid #3c3c3c;
+        border-radius: 4px;
+        background: #2d2d2d;
+        color: #d4d4d4;
+        font-family: inherit;
+        cursor: pointer;
+    }
+
+    .settings-actions .settings-save {
+        border-color: #8B6B4C;
+        background: #8B6B4C;
+        color: #ffffff;
+    }
+
+    .ai-not-configured {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 8px;
+        padding: 8px 10px;
+        border-bottom: 1px solid #3c3c3c;
+        background: rgba(255, 183, 77, 0.12);
+        color: #FFB74D;
+        font-family: 'JetBrains Mono', monospace;
+        font-size: 12px;
+    }
+
+    .ai-not-configured button {
+        flex-shrink: 0;
+        padding: 3px 10px;
+        border: 1px solid #FFB74D;
+        border-radius: 4px;
+        background: transparent;
+        color: #FFB74D;
+        font-family: inherit;
+        cursor: pointer;
+    }
+`;
+document.head.appendChild(styles);
+
+// Constants
+const BACKEND_KEY_FIELD = {         // The configuration field that holds each backend's credential
+    "judge0-public": "apiKey",
+    "judge0-self-hosted": "token",
+    "http-runner": "token"
+};
+const BACKEND_HINTS = {
+    "judge0-public": 'Optional. Without a key the free tier is used. <a href="https://platform.sulu.sh/apis/judge0" target="_blank" rel="noopener">Get a key</a>',
+    "judge0-self-hosted": "The token is sent as X-Auth-Token, if your instance requires one.",
+    "http-runner": "The token is sent as a Bearer token, if your runner requires one.",
+    "pyodide": "Runs Python in this browser; no server or key needed."
+};
+const AI_PROVIDER_HINTS = {
+    "gemini": 'Google\'s Gemini API. <a href="https://aistudio.google.com/app/apikey" target="_blank" rel="noopener">Get a key</a>',
+    "openai": "Any server with OpenAI's chat completions API, e.g. an in-house gateway. The key is sent as a Bearer token; a custom endpoint may not need one.",
+    "ollama": "A local Ollama server; no key needed. Allow this site's origin with OLLAMA_ORIGINS."
+};
+
+// State variables
+let dialog = null;
+let escListener = null;
+
+/**
+ * Creates the dialog element
+ * @returns {HTMLElement} The dialog
+ */
+function createDialog() {
+    const element = document.createElement("div");
+    element.className = "settings-dialog";
+    element.innerHTML = `
+        <form class="settings-content" autocomplete="off" novalidate>
+            <div class="settings-header">
+                <h2>Settings</h2>
+                <button type="button" class="settings-close" title="Close">&times;</button>
+            </div>
+            <div>Stored in this browser only.</div>
+
+            <div class="settings-section">
+                <h3>Code execution <span class="settings-status settings-backend-status"></span></h3>
+                <label class="settings-field">
+                    <span>Backend</span>
+                    <select name="backendType"></select>
+                </label>
+                <label class="settings-field settings-backend-url">
+                    <span>URL</span>
+                    <input name="backendUrl" type="url" placeholder="https://judge0.example.com">
+                </label>
+                <label class="settings-field settings-backend-key">
+                    <span>API key / token</span>
+                    <input name="backendKey" type="password">
+                </label>
+                <div class="settings-hint settings-backend-hint"></div>
+                <label class="settings-field settings-backend-timeout">
+                    <span>Timeout (seconds)</span>
+                    <input name="backendTimeout" type="number" min="1" placeholder="120">
+                </label>
+            </div>
+
+            <div class="settings-section">
+                <h3>AI assistant <span class="settings-status settings-ai-status"></span></h3>
+                <div class="settings-hint">Used by the chat, the composer and code completion.</div>
+                <label class="settings-field">
+                    <span>Provider</span>
+                    <select name="aiProvider"></select>
+                </label>
+                <label class="settings-field">
+                    <span>API key</span>
+                    <input name="aiKey" type="password">
+                </label>
+                <div class="settings-hint settings-ai-hint"></div>
+                <label class="settings-field">
+                    <span>Endpoint</span>
+                    <input name="aiEndpoint" type="url">
+                </label>
+                <label class="settings-field">
+                    <span>Model</span>
+                    <input name="aiModel" type="text" spellcheck="false">
+                </label>
+                <label class="settings-field">
+                    <span>Timeout (seconds)</span>
+                    <input name="aiTimeout" type="number" min="1" placeholder="${AiSettings.DEFAULT_AI_TIMEOUT_SECONDS}">
+                </label>
+            </div>
+
+            <div class="settings-errors"></div>
+            <div class="settings-actions">
+                <button type="button" class="settings-cancel">Cancel</button>
+                <button type="submit" class="settings-save">Save</button>
+            </div>
+        </form>
+    `;
+
+    const form = element.querySelector("form");
+    form.backendType.innerHTML = ExecutionBackend.BACKEND_TYPE_NAMES
+        .map(type => `<option value="${type}">${ExecutionBackend.getBackendTypeLabel(type)}</option>`)
+        .join("");
+    form.backendType.addEventListener("change", () => updateBackendFields(form));
+    form.aiProvider.innerHTML = AiSettings.AI_PROVIDER_NAMES
+        .map(name => `<option value="${name}">${AiSettings.AI_PROVIDERS[name].label}</option>`)
+        .join("");
+    form.aiProvider.addEventListener("change", () => updateAiFields(form));
+
+    element.querySelector(".settings-close").addEventListener("click", close);
+    element.querySelector(".settings-cancel").addEventListener("click", close);
+    element.addEventListener("click", event => {
+        if (event.target === element) {
+            close();
+        }
+    });
+    form.addEventListener("submit", event => {
+        event.preventDefault();
+        save(form);
+    });
+
+    document.body.appendChild(element);
+    return element;
+}
+
+/**
+ * Shows the fields that apply to the selected backend type
+ * @param {HTMLFormElement} form - The settings form
+ */
+function updateBackendFields(form) {
+    const type = form.backendType.value;
+    const remote = type !== "pyodide";
+    form.querySelector(".settings-backend-url").style.display = ExecutionBackend.backendRequiresUrl(type) ? "" : "none";
+    form.querySelector(".settings-backend-key").style.display = BACKEND_KEY_FIELD[type] ? "" : "none";
+    form.querySelector(".settings-backend-timeout").style.display = remote ? "" : "none";
+    form.querySelector(".settings-backend-hint").innerHTML = BACKEND_HINTS[type] || "";
+}
+
+/**
+ * Shows the selected AI provider's defaults and hint
+ * @param {HTMLFormElement} form - The settings form
+ */
+function updateAiFields(form) {
+    const provider = AiSettings.AI_PROVIDERS[form.aiProvider.value];
+    form.aiEndpoint.placeholder = provider.endpoint;
+    form.aiModel.placeholder = provider.model;
+    form.querySelector(".settings-ai-hint").innerHTML = AI_PROVIDER_HINTS[form.aiProvider.value] || "";
+}
+
+/**
+ * Shows whether each section is configured
+ * @param {HTMLElement} element - The dialog
+ */
+function updateStatus(element) {
+    const config = ExecutionBackend.getBackendConfig();
+    const backendStatus = element.querySelector(".settings-backend-status");
+    backendStatus.textContent = ExecutionBackend.getBackendTypeLabel(config.type);
+
+    const aiStatus = element.querySelector(".settings-ai-status");
+    const configured = AiSettings.isAiConfigured();
+    aiStatus.textContent = configured ? "Configured" : "Not configured";
+    aiStatus.classList.toggle("missing", !configured);
+}
+
+/**
+ * Fills the form with the stored settings
+ * @param {HTMLFormElement} form - The settings form
+ */
+function fillForm(form) {
+    const config = ExecutionBackend.getBackendConfig();
+    form.backendType.value = config.type;
+    form.backendUrl.value = config.url || "";
+    form.backendKey.value = config[BACKEND_KEY_FIELD[config.type]] || "";
+    form.backendTimeout.value = config.timeoutSeconds || "";
+    updateBackendFields(form);
+
+    const ai = AiSettings.getAiSettings();
+    const provider = AiSettings.AI_PROVIDERS[ai.provider];
+    form.aiProvider.value = ai.provider;
+    form.aiKey.value = ai.apiKey;
+    form.aiEndpoint.value = ai.endpoint === provider.endpoint ? "" : ai.endpoint;
+    form.aiModel.value = ai.model === provider.model ? "" : ai.model;
+    form.aiTimeout.value = ai.timeoutSeconds === AiSettings.DEFAULT_AI_TIMEOUT_SECONDS ? "" : ai.timeoutSeconds;
+    updateAiFields(form);
+
+    form.querySelector(".settings-errors").textContent = "";
+}
+
+/**
+ * Builds a backend configuration from the form. Options the form does not
+ * show, like wait, are kept while the type stays the same.
+ * @param {HTMLFormElement} form - The settings form
+ * @returns {Object} The configuration
+ */
+function readBackendConfig(form) {
+    const type = form.backendType.value;
+    const current = ExecutionBackend.getBackendConfig();
+    const config = current.type === type ? { ...current } : { type };
+    delete config.url;
+    delete config.apiKey;
+    delete config.token;
+    delete config.timeoutSeconds;
+
+    if (ExecutionBackend.backendRequiresUrl(type)) {
+        config.url = form.backendUrl.value.trim();
+    }
+    const key = form.backendKey.value.trim();
+    if (BACKEND_KEY_FIELD[type] && key) {
+        config[BACKEND_KEY_FIELD[type]] = key;
+    }
+    const timeout = form.backendTimeout.value.trim();
+    if (type !== "pyodide" && timeout) {
+        config.timeoutSeconds = Number(timeout);
+    }
+    return config;
+}
+
+/**
+ * Builds the AI settings from the form
+ * @param {HTMLFormElement} form - The settings form
+ * @returns {Object} The settings, see AiSettings.setAiSettings()
+ */
+function readAiSettings(form) {
+    const settings = {
+        provider: form.aiProvider.value,
+        apiKey: form.aiKey.value.trim(),
+        endpoint: form.aiEndpoint.value.trim(),
+        model: form.aiModel.value.trim()
+    };
+    const timeout = form.aiTimeout.value.trim();
+    if (timeout) {
+        settings.timeoutSeconds = Number(timeout);
+    }
+    return settings;
+}
+
+/**
+ * Validates and stores the form's settings
+ * @param {HTMLFormElement} form - The settings form
+ */
+function save(form) {
+    const backendConfig = readBackendConfig(form);
+    const aiSettings = readAiSettings(form);
+    const problems = [
+        ...ExecutionBackend.validateBackendConfig(backendConfig),
+        ...AiSettings.validateAiSettings(aiSettings)
+    ];
+    if (problems.length > 0) {
+        form.querySelector(".settings-errors").textContent = problems.join("\n");
+        return;
+    }
+
+    const backendChanged = JSON.stringify(backendConfig) !== JSON.stringify(ExecutionBackend.getBackendConfig());
+    if (backendChanged) {
+        ExecutionBackend.setBackendConfig(backendConfig);
+    }
+    AiSettings.setAiSettings(aiSettings);
+    close();
+
+    // The language list comes from the backend, so a new backend needs a reload
+    if (backendChanged && window.confirm("The new execution backend is used after reloading the page. Reload now?")) {
+        window.location.reload();
+    }
+}
+
+/**
+ * Opens the settings dialog
+ */
+export function open() {
+    if (!dialog) {
+        dialog = createDialog();
+    }
+    fillForm(dialog.querySelector("form"));
+    updateStatus(dialog);
+    dialog.classList.add("show");
+
+    escListener = (e) => {
+        if (e.key === "Escape") {
+            close();
+        }
+    };
+    document.addEventListener("keydown", escListener);
+}
+
+/**
+ * Closes the settings dialog without saving
+ */
+export function close() {
+    if (!dialog) {
+        return;
+    }
+    dialog.classList.remove("show");
+    if (escListener) {
+        document.removeEventListener("keydown", escListener);
+        escListener = null;
+    }
+}
+
+/**
+ * Creates a notice for AI panels that shows while the AI is not configured,
+ * with a button that opens the settings
+ * @returns {HTMLElement} The notice; it hides itself once the AI is configured
+ */
+export function createAiNotice() {
+    const notice = document.createElement("div");
+    notice.className = "ai-not-configured";
+    notice.innerHTML = `<span></span><button type="button">Open settings</button>`;
+    notice.querySelector("span").textContent = AiSettings.NOT_CONFIGURED_MESSAGE;
+    notice.querySelector("button").addEventListener("click", open);
+
+    const update = () => {
+        notice.style.display = AiSettings.isAiConfigured() ? "none" : "";
+    };
+    AiSettings.onChange(update);
+    update();
+    return notice;
+}
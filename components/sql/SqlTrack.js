@@ -0,0 +1,51 @@
+/**
+ * SQL Track Component
+ *
+ * Problems with track "sql" are answered with a query against the Chinook
+ * database (data/db.sqlite), run by Judge0's SQLite language. The query's
+ * result set is printed as CSV with a header row, rendered as a grid in the
+ * output panel and checked as a whole (answer type "resultset").
+ */
+
+// Constants
+export const SQLITE_LANGUAGE_ID = 82;   // "SQL (SQLite 3.27.2)" on Judge0 CE
+
+// Judge0 appends command line arguments to "sqlite3 db.sqlite", so these set the output format
+const OUTPUT_ARGUMENTS = "-header -csv";
+
+/**
+ * Checks whether a problem belongs to the SQL track
+ * @param {{track?: string}} problem - The problem
+ * @returns {boolean} True for SQL problems
+ */
+export function isSqlProblem(problem) {
+    return problem?.track === "sql";
+}
+
+/**
+ * Checks whether a language is Judge0's SQLite
+ * @param {{language_id: number}} language - The language
+ * @returns {boolean} True for SQLite
+ */
+export function isSqlLanguage(language) {
+    return language?.language_id === SQLITE_LANGUAGE_ID;
+}
+
+/**
+ * Finds SQLite among the available languages
+ * @param {Array<{flavor: string, language_id: number, name: string}>} languages - The languages
+ * @returns {Object|null} The language, or null if the backend does not offer it
+ */
+export function findSqlLanguage(languages) {
+    return languages.find(isSqlLanguage) || null;
+}
+
+/**
+ * Returns the command line arguments of an SQLite run, which make
+ * sqlite3 print result sets as CSV with a header row
+ * @param {string} [userArguments] - Arguments entered by the user
+ * @returns {string} The arguments
+ */
+export function getCommandLineArguments(userArguments) {
+    return [OUTPUT_ARGUMENTS, userArguments].filter(Boolean).join(" ");
+}
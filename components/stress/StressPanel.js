@@ -0,0 +1,256 @@
+/**
+ * Stress Panel Component
+ *
+ * The "Stress Test" GoldenLayout panel: editors for the generator, the
+ * brute-force reference and the fast function (see StressTest.js), the
+ * number of cases and the seed. Running dispatches RUN_STRESS_TEST_EVENT;
+ * the result appears in the output panel.
+ */
+
+import * as StressTest from "./StressTest.js";
+
+export const RUN_STRESS_TEST_EVENT = "run-stress-test";
+
+// Constants
+const SAVE_DELAY_MS = 500;
+const SNIPPET_TITLES = {
+    generator: "Generator: generate(rng)",
+    brute: "Brute force: brute(...)",
+    fast: "Fast: fast(...)"
+};
+
+// State variables
+let currentProblem = null;
+let editors = null;         // Snippet name -> Monaco editor, once the panel exists
+let casesInput = null;
+let saveTimeout = null;
+
+// Add styles
+const styles = document.createElement('style');
+styles.textContent = `
+    .stress-container {
+        height: 100%;
+        display: flex;
+        flex-direction: column;
+        background: #1e1e1e;
+        color: #d4d4d4;
+        font-family: 'JetBrains Mono', monospace;
+        font-size: 12px;
+    }
+
+    .stress-toolbar {
+        display: flex;
+        align-items: center;
+        flex-wrap: wrap;
+        gap: 8px;
+        padding: 8px 10px;
+        border-bottom: 1px solid #3c3c3c;
+    }
+
+    .stress-toolbar label {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        color: #9d9d9d;
+    }
+
+    .stress-toolbar input {
+        width: 7em;
+        padding: 3px 6px;
+        border: 1px solid #555;
+        border-radius: 3px;
+        background: #2d2d2d;
+        color: #d4d4d4;
+        font-family: inherit;
+        font-size: 11px;
+    }
+
+    .stress-run {
+        margin-left: auto;
+        padding: 3px 10px;
+        border: 1px solid #8B6B4C;
+        border-radius: 3px;
+        background: #8B6B4C;
+        color: #ffffff;
+        font-family: inherit;
+        font-size: 11px;
+        cursor: pointer;
+    }
+
+    .stress-run:hover {
+        background: #7A5C3E;
+    }
+
+    .stress-hint {
+        padding: 6px 10px;
+        color: #9d9d9d;
+        border-bottom: 1px solid #3c3c3c;
+    }
+
+    .stress-hint code {
+        color: #C49A6C;
+    }
+
+    .stress-snippets {
+        flex: 1;
+        min-height: 0;
+        display: flex;
+        flex-direction: column;
+    }
+
+    .stress-snippet {
+        flex: 1;
+        min-height: 0;
+        display: flex;
+        flex-direction: column;
+        border-bottom: 1px solid #3c3c3c;
+    }
+
+    .stress-snippet-title {
+        flex: none;
+        padding: 4px 10px;
+        color: #C49A6C;
+    }
+
+    .stress-editor {
+        flex: 1;
+        min-height: 0;
+    }
+`;
+document.head.appendChild(styles);
+
+/**
+ * Returns the panel's current snippets and number of cases
+ * @returns {{generator: string, brute: string, fast: string, cases: number}} The config
+ */
+function getConfig() {
+    const config = { cases: StressTest.clampCases(casesInput.value) };
+    StressTest.SNIPPETS.forEach(name => {
+        config[name] = editors[name].getValue();
+    });
+    return config;
+}
+
+/**
+ * Saves the snippets of the current problem soon, batching quick edits
+ */
+function scheduleSave() {
+    clearTimeout(saveTimeout);
+    saveTimeout = setTimeout(save, SAVE_DELAY_MS);
+}
+
+/**
+ * Saves the snippets of the current problem
+ */
+function save() {
+    clearTimeout(saveTimeout);
+    if (currentProblem && editors) {
+        StressTest.saveConfig(currentProblem.id, getConfig());
+    }
+}
+
+/**
+ * Shows the saved snippets of the current problem
+ */
+function loadConfig() {
+    if (!currentProblem || !editors) {
+        return;
+    }
+    const config = StressTest.loadConfig(currentProblem.id);
+    StressTest.SNIPPETS.forEach(name => editors[name].setValue(config[name]));
+    casesInput.value = config.cases;
+}
+
+/**
+ * Creates the panel UI
+ * @param {HTMLElement} container - The panel element
+ */
+function createStressUI(container) {
+    container.innerHTML = `
+        <div class="stress-container">
+            <div class="stress-toolbar">
+                <label>Cases <input type="number" class="stress-cases" min="${StressTest.MIN_CASES}" max="${StressTest.MAX_CASES}"></label>
+                <label>Seed <input type="text" class="stress-seed" placeholder="random" spellcheck="false"></label>
+                <button class="stress-run" title="Run the cases in one Python submission and report the first mismatch">Run stress test</button>
+            </div>
+            <div class="stress-hint">
+                <code>generate(rng)</code> returns the arguments of a case; <code>brute</code> and <code>fast</code>
+                must return equal values for them. Helper files and euler_utils can be imported.
+            </div>
+            <div class="stress-snippets"></div>
+        </div>
+    `;
+
+    const snippets = container.querySelector(".stress-snippets");
+    editors = {};
+    StressTest.SNIPPETS.forEach(name => {
+        const snippet = document.createElement("div");
+        snippet.className = "stress-snippet";
+        snippet.innerHTML = `<div class="stress-snippet-title"></div><div class="stress-editor"></div>`;
+        snippet.firstChild.textContent = SNIPPET_TITLES[name];
+        snippets.appendChild(snippet);
+
+        editors[name] = monaco.editor.create(snippet.querySelector(".stress-editor"), {
+            automaticLayout: true,
+            scrollBeyondLastLine: false,
+            language: "python",
+            fontFamily: "JetBrains Mono",
+            fontSize: 12,
+            lineNumbers: "off",
+            minimap: {
+                enabled: false
+            }
+        });
+    });
+
+    casesInput = container.querySelector(".stress-cases");
+    const seedInput = container.querySelector(".stress-seed");
+    casesInput.value = StressTest.DEFAULT_CASES;
+    loadConfig();
+
+    StressTest.SNIPPETS.forEach(name => editors[name].onDidChangeModelContent(scheduleSave));
+    casesInput.addEventListener("change", () => {
+        casesInput.value = StressTest.clampCases(casesInput.value);
+        scheduleSave();
+    });
+    container.querySelector(".stress-run").addEventListener("click", () => {
+        save();
+        window.dispatchEvent(new CustomEvent(RUN_STRESS_TEST_EVENT, {
+            detail: { ...getConfig(), seed: StressTest.parseSeed(seedInput.value) }
+        }));
+    });
+}
+
+/**
+ * Saves the snippets and disposes the panel's editors when the panel is closed
+ */
+function destroyStressUI() {
+    save();
+    if (editors) {
+        Object.values(editors).forEach(editor => editor.dispose());
+    }
+    editors = null;
+    casesInput = null;
+}
+
+/**
+ * Registers the Stress Test panel with the layout
+ * @param {GoldenLayout} layout - The GoldenLayout instance
+ */
+export function initialize(layout) {
+    layout.registerComponent("stress", function (container, state) {
+        createStressUI(container.getElement()[0]);
+        container.on("destroy", destroyStressUI);
+    });
+    window.addEventListener("beforeunload", save);
+}
+
+/**
+ * Shows the snippets of a problem
+ * @param {Object} problem - The problem
+ */
+export function updateProblemContext(problem) {
+    save();
+    currentProblem = problem;
+    loadConfig();
+}
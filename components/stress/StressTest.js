@@ -0,0 +1,202 @@
+/**
+ * Stress Test Component
+ *
+ * Compares a fast solution with a brute-force reference on random inputs.
+ * The user writes three Python snippets: generate(rng), which returns the
+ * arguments of one case, brute(...) and fast(...). They are sent in one
+ * submission, wrapped in a harness (data/harness/stress.py) that runs up to
+ * K cases and reports the first one where the two functions disagree:
+ *
+ * {version: 1, seed, cases, checked, stopped: null|"time", elapsed,
+ *  mismatch: null|{case, args: [repr], brute: {value|error}, fast: {value|error}},
+ *  error?: string}
+ *
+ * The snippets are kept per problem in local storage under EULER_STRESS_<id>.
+ */
+
+import ls from "../../core/storage/LocalStorage.js";
+import { encode } from "../../core/utils/Base64.js";
+import { getLanguageBaseName } from "../../core/editor/EditorLanguages.js";
+import { loadHarness as load, extractHarnessOutput } from "../compiler/Harness.js";
+
+// Constants
+const STORAGE_KEY_PREFIX = "EULER_STRESS_";
+const CONFIG_PLACEHOLDER = "{{CONFIG_BASE64}}";
+const MARKER = "__EULER_STRESS__";
+const TIME_BUDGET_SECONDS = 4;      // Below Judge0's default 5 second CPU time limit
+const MAX_SEED = 2 ** 31 - 1;
+
+export const DEFAULT_CASES = 1000;
+export const MIN_CASES = 1;
+export const MAX_CASES = 1000000;
+
+export const SNIPPETS = ["generator", "brute", "fast"];
+export const DEFAULT_SOURCES = {
+    generator: [
+        "def generate(rng):",
+        "    # rng is a seeded random.Random; return the arguments of one case",
+        "    return rng.randint(1, 1000)",
+        ""
+    ].join("\n"),
+    brute: [
+        "def brute(n):",
+        "    # Obviously correct, however slow",
+        "    return sum(d for d in range(1, n) if n % d == 0)",
+        ""
+    ].join("\n"),
+    fast: [
+        "def fast(n):",
+        "    # The optimization under test",
+        "    total = 1 if n > 1 else 0",
+        "    d = 2",
+        "    while d * d <= n:",
+        "        if n % d == 0:",
+        "            total += d if d * d == n else d + n // d",
+        "        d += 1",
+        "    return total",
+        ""
+    ].join("\n")
+};
+
+/**
+ * Checks whether stress tests can run in a language
+ * @param {{name: string}} language - The language
+ * @returns {boolean} True for Python
+ */
+export function appliesTo(language) {
+    return getLanguageBaseName(language?.name) === "python";
+}
+
+/**
+ * Clamps a requested number of cases to the supported range
+ * @param {number|string} value - The requested number of cases
+ * @returns {number} The number of cases
+ */
+export function clampCases(value) {
+    const cases = Math.round(Number(value));
+    if (!Number.isFinite(cases)) {
+        return DEFAULT_CASES;
+    }
+    return Math.min(MAX_CASES, Math.max(MIN_CASES, cases));
+}
+
+/**
+ * Parses a seed entered by the user
+ * @param {string} value - The entered seed; blank for a random one
+ * @returns {number} The seed
+ */
+export function parseSeed(value) {
+    const seed = Number(String(value).trim());
+    if (String(value).trim() === "" || !Number.isInteger(seed) || seed < 0) {
+        return Math.floor(Math.random() * MAX_SEED);
+    }
+    return seed;
+}
+
+/**
+ * Loads the saved snippets of a problem
+ * @param {number} problemId - The problem ID
+ * @returns {{generator: string, brute: string, fast: string, cases: number}} The snippets;
+ *          the defaults if there are none
+ */
+export function loadConfig(problemId) {
+    const saved = ls.get(`${STORAGE_KEY_PREFIX}${problemId}`);
+    const config = { cases: Number.isInteger(saved?.cases) ? clampCases(saved.cases) : DEFAULT_CASES };
+    SNIPPETS.forEach(name => {
+        config[name] = typeof saved?.[name] === "string" ? saved[name] : DEFAULT_SOURCES[name];
+    });
+    return config;
+}
+
+/**
+ * Saves the snippets of a problem; the defaults remove the saved entry
+ * @param {number} problemId - The problem ID
+ * @param {{generator: string, brute: string, fast: string, cases: number}} config - The snippets
+ */
+export function saveConfig(problemId, config) {
+    const isDefault = config.cases === DEFAULT_CASES && SNIPPETS.every(name => config[name] === DEFAULT_SOURCES[name]);
+    ls.set(`${STORAGE_KEY_PREFIX}${problemId}`, isDefault ? null : config);
+}
+
+/**
+ * Loads the stress test harness
+ * @returns {Promise<string>} The harness source; rejects with a jqXHR-like error
+ */
+export function loadHarness() {
+    return load("stress");
+}
+
+/**
+ * Builds the program that runs a stress test
+ * @param {string} harness - The harness source, see loadHarness()
+ * @param {{generator: string, brute: string, fast: string, cases: number, seed: number}} config - The test
+ * @returns {string} The program to submit
+ */
+export function buildProgram(harness, config) {
+    const harnessConfig = {
+        generator: config.generator,
+        brute: config.brute,
+        fast: config.fast,
+        cases: clampCases(config.cases),
+        seed: config.seed,
+        timeBudget: TIME_BUDGET_SECONDS
+    };
+    return harness.replace(CONFIG_PLACEHOLDER, encode(JSON.stringify(harnessConfig)));
+}
+
+/**
+ * Separates what the snippets printed from the result printed by the harness
+ * @param {string} stdout - The output of the stress test run
+ * @returns {{output: string, result: Object|null}} The printed output, and the result or null
+ *          if the run ended before printing it
+ */
+export function extractResult(stdout) {
+    const { output, data } = extractHarnessOutput(stdout, MARKER);
+    return { output, result: data?.version === 1 ? data : null };
+}
+
+/**
+ * Summarizes a result in one line, for the status line
+ * @param {Object} result - The result, see extractResult()
+ * @returns {string} The summary
+ */
+export function summarize(result) {
+    if (result.error) {
+        return "Stress test: could not run";
+    }
+    if (result.mismatch) {
+        return `Stress test: mismatch on case ${result.mismatch.case}`;
+    }
+    return `Stress test: ${result.checked} of ${result.cases} cases agree`;
+}
+
+/**
+ * Formats a result as a plain text report
+ * @param {Object} result - The result, see extractResult()
+ * @returns {string} The report
+ */
+export function formatReport(result) {
+    if (result.error) {
+        return `Stress test could not run:\n\n${result.error}`;
+    }
+
+    const seed = `seed ${result.seed}`;
+    if (!result.mismatch) {
+        const stopped = result.stopped === "time"
+            ? `\n\nThe time budget of ${TIME_BUDGET_SECONDS}s ran out before the last case; lower the number of cases or speed up brute().`
+            : "";
+        return `Stress test: all ${result.checked} of ${result.cases} cases agree (${seed}, ${result.elapsed}s)${stopped}`;
+    }
+
+    const { mismatch } = result;
+    const args = mismatch.args.join(", ");
+    const outcome = value => "error" in value ? `raised ${value.error}` : `returned ${value.value}`;
+    return [
+        `Stress test: mismatch on case ${mismatch.case} of ${result.cases} (${seed})`,
+        "",
+        `brute(${args}) ${outcome(mismatch.brute)}`,
+        `fast(${args}) ${outcome(mismatch.fast)}`,
+        "",
+        `Run again with seed ${result.seed} to reproduce it.`
+    ].join("\n");
+}
@@ -0,0 +1,190 @@
+/**
+ * Answer Format Module
+ *
+ * Canonicalizes answers according to a problem's answer type so that two
+ * spellings of the same value compare (and hash) identically. All arithmetic
+ * is exact: integers use BigInt, decimals are parsed digit by digit and
+ * rounded half away from zero, fractions are reduced with a BigInt gcd.
+ *
+ * Supported answer types:
+ * - integer:  Any size integer ("+007" -> "7")
+ * - bigint:   Alias of integer, for problems whose answers exceed 2^53
+ * - decimal:  Rounded to `precision` decimal places ("1.5e-1", precision 3 -> "0.150")
+ * - fraction: Reduced "a/b" with a positive denominator ("-6/-8" -> "3/4", "5" -> "5/1")
+ * - string:   Exact text after trimming ("1,2,3" or "9876543210")
+ * - resultset: The rows of an SQL result set, in order only if `ordered` (see ResultSet.js)
+ *
+ * Usage:
+ * canonicalizeAnswer("0.1234567849", {answerType: "decimal", precision: 8}) // "0.12345678"
+ * answersEqual("2/4", "1/2", {answerType: "fraction"})                       // true
+ */
+"use strict";
+
+import { canonicalizeResultSet } from "./ResultSet.js";
+
+export const ANSWER_TYPES = ["integer", "bigint", "decimal", "fraction", "string", "resultset"];
+export const DEFAULT_ANSWER_TYPE = "integer";
+
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+const DECIMAL_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/;
+const FRACTION_PATTERN = /^([+-]?\d+)\s*\/\s*([+-]?\d+)$/;
+const MAX_DECIMAL_EXPONENT = 1000;  // Far beyond any answer; larger exponents would freeze the BigInt scaling
+
+/**
+ * Computes the greatest common divisor of two BigInts
+ * @param {bigint} a - The first value
+ * @param {bigint} b - The second value
+ * @returns {bigint} The (non-negative) gcd
+ */
+function gcd(a, b) {
+    a = a < 0n ? -a : a;
+    b = b < 0n ? -b : b;
+    while (b) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+/**
+ * Canonicalizes an integer answer
+ * @param {string} text - The trimmed answer
+ * @returns {string|null} The canonical integer, or null if the text is not an integer
+ */
+function canonicalizeInteger(text) {
+    return INTEGER_PATTERN.test(text) ? BigInt(text).toString() : null;
+}
+
+/**
+ * Canonicalizes a decimal answer by rounding it to a fixed number of places
+ * @param {string} text - The trimmed answer
+ * @param {number} precision - The number of decimal places
+ * @returns {string|null} The rounded decimal, or null if the text is not a number or its
+ *          exponent is out of range
+ */
+function canonicalizeDecimal(text, precision) {
+    const match = DECIMAL_PATTERN.exec(text);
+    if (!match || (match[2] === "" && !match[3])) {
+        return null;
+    }
+
+    // The value is mantissa * 10^-scale
+    const [, sign, whole, fraction = "", exponent = "0"] = match;
+    if (Math.abs(Number(exponent)) > MAX_DECIMAL_EXPONENT) {
+        return null;
+    }
+    const mantissa = BigInt(`${whole}${fraction}` || "0");
+    const shift = precision - (fraction.length - Number(exponent));
+
+    // Scale to an integer count of 10^-precision units, rounding half away from zero
+    let units;
+    if (shift >= 0) {
+        units = mantissa * 10n ** BigInt(shift);
+    } else {
+        const divisor = 10n ** BigInt(-shift);
+        units = mantissa / divisor;
+        if ((mantissa % divisor) * 2n >= divisor) {
+            units += 1n;
+        }
+    }
+
+    const digits = units.toString().padStart(precision + 1, "0");
+    const integerPart = digits.slice(0, digits.length - precision);
+    const fractionPart = digits.slice(digits.length - precision);
+    const negative = sign === "-" && units !== 0n;
+
+    return `${negative ? "-" : ""}${integerPart}${precision > 0 ? `.${fractionPart}` : ""}`;
+}
+
+/**
+ * Canonicalizes a fraction answer to lowest terms
+ * @param {string} text - The trimmed answer
+ * @returns {string|null} The reduced fraction, or null if the text is not a fraction
+ */
+function canonicalizeFraction(text) {
+    let numerator;
+    let denominator;
+    const match = FRACTION_PATTERN.exec(text);
+    if (match) {
+        numerator = BigInt(match[1]);
+        denominator = BigInt(match[2]);
+    } else if (INTEGER_PATTERN.test(text)) {
+        numerator = BigInt(text);
+        denominator = 1n;
+    } else {
+        return null;
+    }
+
+    if (denominator === 0n) {
+        return null;
+    }
+    if (denominator < 0n) {
+        numerator = -numerator;
+        denominator = -denominator;
+    }
+
+    const divisor = gcd(numerator, denominator) || 1n;
+    return `${numerator / divisor}/${denominator / divisor}`;
+}
+
+/**
+ * Returns the answer type of a problem
+ * @param {{answerType?: string}} format - The problem (or any object with answer format fields)
+ * @returns {string} The answer type
+ */
+export function getAnswerType(format) {
+    return format?.answerType || DEFAULT_ANSWER_TYPE;
+}
+
+/**
+ * Canonicalizes an answer according to an answer format
+ * @param {*} answer - The answer, e.g. program output or an author's plaintext answer
+ * @param {{answerType?: string, precision?: number, ordered?: boolean}} format - The answer format, usually the problem itself
+ * @returns {string|null} The canonical answer, or null if the answer is not valid for the type
+ */
+export function canonicalizeAnswer(answer, format = {}) {
+    const text = String(answer ?? "").trim();
+    if (text === "") {
+        return null;
+    }
+
+    switch (getAnswerType(format)) {
+        case "integer":
+        case "bigint":
+            return canonicalizeInteger(text);
+        case "decimal":
+            return canonicalizeDecimal(text, format.precision ?? 0);
+        case "fraction":
+            return canonicalizeFraction(text);
+        case "string":
+            return text;
+        case "resultset":
+            return canonicalizeResultSet(text, format);
+        default:
+            throw new Error(`Unknown answer type: ${format.answerType}`);
+    }
+}
+
+/**
+ * Compares two plaintext answers under an answer format
+ * @param {*} a - The first answer
+ * @param {*} b - The second answer
+ * @param {{answerType?: string, precision?: number}} format - The answer format
+ * @returns {boolean} True if both answers are valid and equal
+ */
+export function answersEqual(a, b, format = {}) {
+    const canonicalA = canonicalizeAnswer(a, format);
+    return canonicalA !== null && canonicalA === canonicalizeAnswer(b, format);
+}
+
+/**
+ * Describes an answer format for messages, e.g. "decimal (8 places)"
+ * @param {{answerType?: string, precision?: number}} format - The answer format
+ * @returns {string} The description
+ */
+export function describeAnswerFormat(format = {}) {
+    const type = getAnswerType(format);
+    if (type === "resultset") {
+        return format.ordered ? "result set (rows in order)" : "result set (rows in any order)";
+    }
+    return type === "decimal" ? `decimal (${format.precision ?? 0} places)` : type;
+}
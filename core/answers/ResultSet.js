@@ -0,0 +1,55 @@
+/**
+ * Result Set Module
+ *
+ * Canonicalizes the result set of an SQL query, as printed by
+ * `sqlite3 -header -csv`, so that it can be compared and hashed like any
+ * other answer (see AnswerFormat.js, answer type "resultset"). The header
+ * row is dropped: only the values count, so column aliases are free. Unless
+ * the problem says row order matters, rows are sorted first.
+ *
+ * Usage:
+ * canonicalizeResultSet("name,total\nRock,826.65\nLatin,382.14\n", {ordered: true})
+ * // '[["Rock","826.65"],["Latin","382.14"]]'
+ */
+"use strict";
+
+import { parseCsv } from "../utils/Csv.js";
+
+/**
+ * Parses a result set printed with a header row
+ * @param {string} text - The CSV output of the query
+ * @returns {{columns: Array<string>, rows: Array<Array<string>>}|null} The result set, or null if
+ *          the text has no header row
+ */
+export function parseResultSet(text) {
+    const [columns, ...rows] = parseCsv(String(text ?? "").trim());
+    return columns ? { columns, rows } : null;
+}
+
+/**
+ * Canonicalizes a result set
+ * @param {string} text - The CSV output of the query, header row first
+ * @param {{ordered?: boolean}} format - Whether row order matters
+ * @returns {string|null} The rows as JSON, or null if the result set has no rows
+ */
+export function canonicalizeResultSet(text, format = {}) {
+    const resultSet = parseResultSet(text);
+    if (!resultSet || resultSet.rows.length === 0) {
+        return null;
+    }
+
+    const rows = resultSet.rows.map(row => JSON.stringify(row));
+    if (!format.ordered) {
+        rows.sort();
+    }
+    return `[${rows.join(",")}]`;
+}
+
+/**
+ * Counts the rows of a canonical result set
+ * @param {string} canonical - The result set, see canonicalizeResultSet()
+ * @returns {number} The number of rows
+ */
+export function countRows(canonical) {
+    return JSON.parse(canonical).length;
+}
@@ -0,0 +1,86 @@
+/**
+ * Answer Hashing Module
+ *
+ * Problem files store answers as salted SHA-256 digests instead of plain
+ * values, so the solution cannot be read straight out of
+ * data/problems/problemN.json. The same functions are used by the IDE to
+ * check a submitted answer and by tools/hash-answer.mjs to author a digest.
+ *
+ * A digest is computed over `${salt}:${answer}` and encoded as lowercase hex.
+ * Answers should be canonicalized first (see core/answers/AnswerFormat.js)
+ * so that equivalent spellings produce the same digest. Works anywhere
+ * WebCrypto is available (browsers and Node 20+).
+ *
+ * Usage:
+ * const answerHash = await createAnswerHash("233168")
+ * // {algorithm: "SHA-256", salt: "9f2c...", digest: "41ab..."}
+ * await verifyAnswer("233168", answerHash) // true
+ */
+"use strict";
+
+export const HASH_ALGORITHM = "SHA-256";
+const SALT_BYTES = 16;
+
+/**
+ * Encodes bytes as lowercase hex
+ * @param {ArrayBuffer|Uint8Array} buffer - The bytes to encode
+ * @returns {string} The hex string
+ */
+function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Computes the SHA-256 digest of a string
+ * @param {string} text - The text to hash
+ * @returns {Promise<string>} The hex encoded digest
+ */
+export async function sha256Hex(text) {
+    const bytes = new TextEncoder().encode(text);
+    return toHex(await crypto.subtle.digest(HASH_ALGORITHM, bytes));
+}
+
+/**
+ * Generates a random salt
+ * @returns {string} A hex encoded salt
+ */
+export function generateSalt() {
+    return toHex(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+}
+
+/**
+ * Hashes an answer with the given salt
+ * @param {string} answer - The canonical answer
+ * @param {string} salt - The hex encoded salt
+ * @returns {Promise<string>} The hex encoded digest
+ */
+export function hashAnswer(answer, salt) {
+    return sha256Hex(`${salt}:${answer}`);
+}
+
+/**
+ * Creates the answerHash object stored in problem files
+ * @param {string} answer - The canonical plaintext answer
+ * @param {string} [salt] - The salt to use; a random one is generated if omitted
+ * @returns {Promise<{algorithm: string, salt: string, digest: string}>} The answer hash
+ */
+export async function createAnswerHash(answer, salt = generateSalt()) {
+    return {
+        algorithm: HASH_ALGORITHM,
+        salt,
+        digest: await hashAnswer(answer, salt)
+    };
+}
+
+/**
+ * Checks an answer against a stored answer hash
+ * @param {string} answer - The canonical candidate answer
+ * @param {{algorithm: string, salt: string, digest: string}} answerHash - The stored hash
+ * @returns {Promise<boolean>} True if the answer matches
+ */
+export async function verifyAnswer(answer, answerHash) {
+    if (!answerHash || answerHash.algorithm !== HASH_ALGORITHM) {
+        return false;
+    }
+    return (await hashAnswer(answer, answerHash.salt)) === answerHash.digest.toLowerCase();
+}
@@ -1,13 +1,78 @@
 /**
  * Editor Language Support Module
- * 
- * Handles Python language mode for Monaco editor.
+ *
+ * Maps Judge0 language names (e.g. "C++ (GCC 9.2.0)") to Monaco editor
+ * language modes and line comment syntax.
  */
 
+const DEFAULT_EDITOR_LANGUAGE_MODE = "plaintext";
+
+// Monaco mode and line comment prefix by language base name (the name without its version)
+const LANGUAGES = {
+    "bash": { mode: "shell", comment: "#" },
+    "basic": { mode: "vb", comment: "'" },
+    "c": { mode: "c", comment: "//" },
+    "c++": { mode: "cpp", comment: "//" },
+    "c#": { mode: "csharp", comment: "//" },
+    "clojure": { mode: "clojure", comment: ";;" },
+    "d": { mode: DEFAULT_EDITOR_LANGUAGE_MODE, comment: "//" },
+    "dart": { mode: "dart", comment: "//" },
+    "elixir": { mode: "elixir", comment: "#" },
+    "erlang": { mode: DEFAULT_EDITOR_LANGUAGE_MODE, comment: "%" },
+    "f#": { mode: "fsharp", comment: "//" },
+    "fortran": { mode: DEFAULT_EDITOR_LANGUAGE_MODE, comment: "!" },
+    "go": { mode: "go", comment: "//" },
+    "groovy": { mode: DEFAULT_EDITOR_LANGUAGE_MODE, comment: "//" },
+    "haskell": { mode: DEFAULT_EDITOR_LANGUAGE_MODE, comment: "--" },
+    "java": { mode: "java", comment: "//" },
+    "javascript": { mode: "javascript", comment: "//" },
+    "julia": { mode: "julia", comment: "#" },
+    "kotlin": { mode: "kotlin", comment: "//" },
+    "lua": { mode: "lua", comment: "--" },
+    "nim": { mode: DEFAULT_EDITOR_LANGUAGE_MODE, comment: "#" },
+    "objective-c": { mode: "objective-c", comment: "//" },
+    "pascal": { mode: "pascal", comment: "//" },
+    "perl": { mode: "perl", comment: "#" },
+    "php": { mode: "php", comment: "//" },
+    "python": { mode: "python", comment: "#" },
+    "r": { mode: "r", comment: "#" },
+    "ruby": { mode: "ruby", comment: "#" },
+    "rust": { mode: "rust", comment: "//" },
+    "scala": { mode: "scala", comment: "//" },
+    "sql": { mode: "sql", comment: "--" },
+    "swift": { mode: "swift", comment: "//" },
+    "typescript": { mode: "typescript", comment: "//" },
+    "visual basic.net": { mode: "vb", comment: "'" }
+};
+
+/**
+ * Returns the base name of a Judge0 language, e.g. "c++" for "C++ (GCC 9.2.0)".
+ * Variants such as "Python for ML" resolve to their family.
+ * @param {string} languageName - The Judge0 language name
+ * @returns {string} The lower-case base name
+ */
+export function getLanguageBaseName(languageName) {
+    const baseName = (languageName || "").replace(/\s*\(.*\)\s*$/, "").trim().toLowerCase();
+    if (baseName.startsWith("python")) {
+        return "python";
+    }
+    return baseName;
+}
+
+/**
+ * Returns the Monaco editor language mode for a Judge0 language
+ * @param {string} languageName - The Judge0 language name
+ * @returns {string} The Monaco editor language mode, "plaintext" if unknown
+ */
+export function getEditorLanguageMode(languageName) {
+    return LANGUAGES[getLanguageBaseName(languageName)]?.mode || DEFAULT_EDITOR_LANGUAGE_MODE;
+}
+
 /**
- * Returns Python language mode for Monaco editor
- * @returns {string} The Monaco editor language mode for Python
+ * Returns the line comment prefix for a Judge0 language
+ * @param {string} languageName - The Judge0 language name
+ * @returns {string} The line comment prefix, "#" if unknown
  */
-export function getEditorLanguageMode() {
-    return "python";
-}
\ No newline at end of file
+export function getLineComment(languageName) {
+    return LANGUAGES[getLanguageBaseName(languageName)]?.comment || "#";
+}
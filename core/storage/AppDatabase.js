@@ -0,0 +1,29 @@
+/**
+ * Application Database Module
+ *
+ * The IDE's IndexedDB database. Upgrades run in order from the version a
+ * browser already has, so add a new case (and bump DB_VERSION) for every
+ * schema change instead of editing an existing one.
+ *
+ * Stores:
+ * - runs: one record per execution, indexed by problemId (see components/runs/RunHistory.js)
+ * - benchmarks: one record per benchmark, indexed by problemId (see components/benchmark/Benchmark.js)
+ */
+"use strict";
+import idb from "./IndexedDB.js";
+
+const DB_NAME = "euler-ai";
+const DB_VERSION = 2;
+
+const db = idb.open(DB_NAME, DB_VERSION, (database, oldVersion) => {
+    if (oldVersion < 1) {
+        database.createObjectStore("runs", { keyPath: "id", autoIncrement: true })
+            .createIndex("problemId", "problemId");
+    }
+    if (oldVersion < 2) {
+        database.createObjectStore("benchmarks", { keyPath: "id", autoIncrement: true })
+            .createIndex("problemId", "problemId");
+    }
+});
+
+export default db;
@@ -0,0 +1,107 @@
+/**
+ * IndexedDB Wrapper Module
+ *
+ * This module provides a small promise-based interface for IndexedDB, for
+ * data that is too large or too structured for localStorage (e.g. run
+ * history with code snapshots and outputs).
+ *
+ * Usage:
+ * const db = idb.open("euler-ai", 1, db => {
+ *     db.createObjectStore("runs", { keyPath: "id", autoIncrement: true })
+ *       .createIndex("problemId", "problemId");
+ * });
+ * const id = await db.add("runs", { problemId: 1, ... })
+ * await db.get("runs", id)
+ * await db.put("runs", { id, problemId: 1, ... })
+ * await db.getAllByIndex("runs", "problemId", 1)
+ * await db.delete("runs", id)
+ */
+"use strict";
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<*>} The request's result
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+const idb = {
+    /**
+     * Opens (and creates or upgrades) a database. The connection is opened
+     * lazily on first use and reused afterwards.
+     * @param {string} name - The database name
+     * @param {number} version - The schema version
+     * @param {function(IDBDatabase, number): void} upgrade - Creates the object stores; receives
+     *        the database and the version being upgraded from
+     * @returns {Object} The database handle
+     */
+    open(name, version, upgrade) {
+        let connection = null;
+
+        const connect = () => {
+            if (!connection) {
+                const request = indexedDB.open(name, version);
+                request.onupgradeneeded = event => upgrade(request.result, event.oldVersion);
+                connection = promisify(request);
+                connection.catch(() => { connection = null; });  // Retry on next use
+            }
+            return connection;
+        };
+
+        const run = async (storeName, mode, operation) => {
+            const db = await connect();
+            const store = db.transaction(storeName, mode).objectStore(storeName);
+            return promisify(operation(store));
+        };
+
+        return {
+            /**
+             * Adds a record
+             * @param {string} storeName - The object store
+             * @param {Object} value - The record
+             * @returns {Promise<*>} The new record's key
+             */
+            add: (storeName, value) => run(storeName, "readwrite", store => store.add(value)),
+
+            /**
+             * Reads a record
+             * @param {string} storeName - The object store
+             * @param {*} key - The record key
+             * @returns {Promise<Object|undefined>} The record, or undefined if it does not exist
+             */
+            get: (storeName, key) => run(storeName, "readonly", store => store.get(key)),
+
+            /**
+             * Adds or replaces a record
+             * @param {string} storeName - The object store
+             * @param {Object} value - The record
+             * @returns {Promise<*>} The record's key
+             */
+            put: (storeName, value) => run(storeName, "readwrite", store => store.put(value)),
+
+            /**
+             * Reads all records with a given index value
+             * @param {string} storeName - The object store
+             * @param {string} indexName - The index
+             * @param {*} value - The index value
+             * @returns {Promise<Array<Object>>} The records, in key order
+             */
+            getAllByIndex: (storeName, indexName, value) => run(storeName, "readonly", store => store.index(indexName).getAll(value)),
+
+            /**
+             * Deletes a record
+             * @param {string} storeName - The object store
+             * @param {*} key - The record key
+             * @returns {Promise<void>} Resolves when deleted
+             */
+            delete: (storeName, key) => run(storeName, "readwrite", store => store.delete(key))
+        };
+    }
+};
+
+export default idb;
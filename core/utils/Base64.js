@@ -0,0 +1,48 @@
+/**
+ * Base64 utilities for Judge0 submissions and results, which carry
+ * UTF-8 text as base64 strings
+ */
+
+/**
+ * Encodes a string to base64
+ * @param {string} str - The string to encode
+ * @returns {string} The base64 encoded string
+ */
+export function encode(str) {
+    try {
+        // First normalize line endings
+        const normalized = str.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+        // Then encode
+        return btoa(unescape(encodeURIComponent(normalized || "")));
+    } catch (e) {
+        console.error("Encoding error:", e);
+        return btoa(str || "");  // Fallback
+    }
+}
+
+/**
+ * Decodes a base64 string
+ * @param {string} bytes - The base64 string to decode
+ * @returns {string} The decoded string
+ */
+export function decode(bytes) {
+    var escaped = escape(atob(bytes || ""));
+    try {
+        return decodeURIComponent(escaped);
+    } catch {
+        return unescape(escaped);
+    }
+}
+
+/**
+ * Encodes binary data to base64
+ * @param {Uint8Array} bytes - The data to encode
+ * @returns {string} The base64 encoded data
+ */
+export function encodeBytes(bytes) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
@@ -0,0 +1,48 @@
+/**
+ * CSV utilities for tabular program output, e.g. the result sets printed
+ * by sqlite3 -csv and the ```csv blocks of the rich output view
+ */
+
+/**
+ * Parses CSV with quoted fields
+ * @param {string} text - The CSV; CRLF line endings are accepted
+ * @returns {Array<Array<string>>} The rows
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    const csv = text.replace(/\r\n/g, "\n");
+
+    for (let i = 0; i < csv.length; i++) {
+        const char = csv[i];
+        if (quoted) {
+            if (char === '"' && csv[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === "") {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n") {
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    if (field !== "" || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
@@ -0,0 +1,113 @@
+/**
+ * Minimal zip writer for Judge0's additional_files, which takes a base64
+ * encoded zip that is extracted next to the main source file. Files are
+ * stored uncompressed; source files are small, so deflate is not worth it.
+ */
+
+const encoder = new TextEncoder();
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 checksum used by zip
+ * @param {Uint8Array} bytes - The data
+ * @returns {number} The checksum, as an unsigned 32-bit integer
+ */
+export function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Converts a date to the MS-DOS time and date fields of a zip entry
+ * @param {Date} date - The date
+ * @returns {{time: number, date: number}} The packed fields
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Creates a zip archive with stored (uncompressed) entries
+ * @param {Array<{name: string, content: string|Uint8Array}>} files - The files; text is stored as UTF-8
+ * @param {Date} [modified] - The modification time of every entry
+ * @returns {Uint8Array} The archive
+ */
+export function createZip(files, modified = new Date()) {
+    const { time, date } = toDosDateTime(modified);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = typeof file.content === "string" ? encoder.encode(file.content) : file.content;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);     // Local file header signature
+        local.setUint16(4, 10, true);             // Version needed: 1.0 (stored)
+        local.setUint16(6, 0x0800, true);         // Flags: UTF-8 file name
+        local.setUint16(8, 0, true);              // Method: stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);   // Compressed size
+        local.setUint32(22, data.length, true);   // Uncompressed size
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);             // Extra field length
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);   // Central directory header signature
+        central.setUint16(4, 20, true);           // Version made by: 2.0
+        central.setUint16(6, 10, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        // Extra field, comment, disk number and attributes stay zero
+        central.setUint32(42, offset, true);      // Offset of the local header
+
+        localParts.push(new Uint8Array(local.buffer), name, data);
+        centralParts.push(new Uint8Array(central.buffer), name);
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);           // End of central directory signature
+    end.setUint16(8, files.length, true);         // Entries on this disk
+    end.setUint16(10, files.length, true);        // Entries in total
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);              // Offset of the central directory
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const archive = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    for (const part of parts) {
+        archive.set(part, position);
+        position += part.length;
+    }
+    return archive;
+}
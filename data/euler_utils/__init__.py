@@ -0,0 +1,21 @@
+"""Helpers that Project Euler solutions keep rewriting.
+
+Enable "Include euler_utils" in the euler_utils panel to ship this package
+with every Python run, then import what you need:
+
+    from euler_utils import sieve, digit_sum
+
+Written for Python 3.8 and later, using only the standard library.
+"""
+
+from .primes import sieve, is_prime, prime_factors, nth_prime
+from .number_theory import gcd, lcm, extended_gcd, mod_pow, mod_inverse, divisors, totient, binomial
+from .digits import digits, from_digits, digit_sum, is_palindrome, is_pandigital
+from .sequences import fibonacci, triangle_number, is_perfect_square
+
+__all__ = [
+    "sieve", "is_prime", "prime_factors", "nth_prime",
+    "gcd", "lcm", "extended_gcd", "mod_pow", "mod_inverse", "divisors", "totient", "binomial",
+    "digits", "from_digits", "digit_sum", "is_palindrome", "is_pandigital",
+    "fibonacci", "triangle_number", "is_perfect_square",
+]
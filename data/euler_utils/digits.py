@@ -0,0 +1,40 @@
+"""Digits of integers."""
+
+
+def digits(n, base=10):
+    """Returns the digits of n >= 0, most significant first; digits(1203) == [1, 2, 0, 3]."""
+    if n == 0:
+        return [0]
+    result = []
+    while n:
+        n, digit = divmod(n, base)
+        result.append(digit)
+    return result[::-1]
+
+
+def from_digits(digit_list, base=10):
+    """Returns the number with the given digits, most significant first; the inverse of digits()."""
+    n = 0
+    for digit in digit_list:
+        n = n * base + digit
+    return n
+
+
+def digit_sum(n, base=10):
+    """Returns the sum of the digits of n >= 0; digit_sum(2 ** 15) == 26."""
+    total = 0
+    while n:
+        n, digit = divmod(n, base)
+        total += digit
+    return total
+
+
+def is_palindrome(n, base=10):
+    """Tells whether n >= 0 reads the same backwards in the given base."""
+    d = digits(n, base)
+    return d == d[::-1]
+
+
+def is_pandigital(n, start=1, end=9):
+    """Tells whether n uses each digit from start to end exactly once; is_pandigital(192384576) is True."""
+    return sorted(str(n)) == [str(digit) for digit in range(start, end + 1)]
@@ -0,0 +1,73 @@
+"""Divisibility and modular arithmetic."""
+
+import math
+
+
+def gcd(*numbers):
+    """Returns the greatest common divisor of the numbers; gcd(12, 18, 27) == 3."""
+    result = 0
+    for n in numbers:
+        result = math.gcd(result, n)
+    return result
+
+
+def lcm(*numbers):
+    """Returns the least common multiple of the numbers; lcm(*range(1, 11)) == 2520."""
+    result = 1
+    for n in numbers:
+        result = result * n // math.gcd(result, n)
+    return result
+
+
+def extended_gcd(a, b):
+    """Returns (g, x, y) such that a * x + b * y == g == gcd(a, b)."""
+    x0, x1, y0, y1 = 1, 0, 0, 1
+    while b:
+        q, a, b = a // b, b, a % b
+        x0, x1 = x1, x0 - q * x1
+        y0, y1 = y1, y0 - q * y1
+    return a, x0, y0
+
+
+def mod_pow(base, exponent, modulus):
+    """Returns base ** exponent % modulus without computing the full power."""
+    return pow(base, exponent, modulus)
+
+
+def mod_inverse(a, modulus):
+    """Returns x such that a * x % modulus == 1; raises ValueError if there is none."""
+    g, x, _ = extended_gcd(a % modulus, modulus)
+    if g != 1:
+        raise ValueError("{} has no inverse modulo {}".format(a, modulus))
+    return x % modulus
+
+
+def divisors(n):
+    """Returns the divisors of n >= 1 in increasing order; divisors(28) == [1, 2, 4, 7, 14, 28]."""
+    small, large = [], []
+    for d in range(1, math.isqrt(n) + 1):
+        if n % d == 0:
+            small.append(d)
+            if d != n // d:
+                large.append(n // d)
+    return small + large[::-1]
+
+
+def totient(n):
+    """Returns Euler's totient of n >= 1, the count of 1 <= k <= n coprime to n."""
+    result = n
+    p = 2
+    while p * p <= n:
+        if n % p == 0:
+            while n % p == 0:
+                n //= p
+            result -= result // p
+        p += 1 if p == 2 else 2
+    if n > 1:
+        result -= result // n
+    return result
+
+
+def binomial(n, k):
+    """Returns n choose k, the number of ways to pick k of n items."""
+    return math.comb(n, k)
@@ -0,0 +1,71 @@
+"""Prime numbers."""
+
+import math
+
+
+def sieve(limit):
+    """Returns all primes up to and including limit, in increasing order.
+
+    Sieve of Eratosthenes; sieve(20) == [2, 3, 5, 7, 11, 13, 17, 19].
+    """
+    if limit < 2:
+        return []
+    is_composite = bytearray(limit + 1)
+    for p in range(2, math.isqrt(limit) + 1):
+        if not is_composite[p]:
+            is_composite[p * p::p] = b"\x01" * len(range(p * p, limit + 1, p))
+    return [n for n in range(2, limit + 1) if not is_composite[n]]
+
+
+def is_prime(n):
+    """Tells whether n is prime.
+
+    Deterministic Miller-Rabin, exact for every n below 3.3 * 10**24.
+    """
+    if n < 2:
+        return False
+    small = (2, 3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37, 41)
+    for p in small:
+        if n % p == 0:
+            return n == p
+    d, s = n - 1, 0
+    while d % 2 == 0:
+        d //= 2
+        s += 1
+    for a in small:
+        x = pow(a, d, n)
+        if x in (1, n - 1):
+            continue
+        for _ in range(s - 1):
+            x = x * x % n
+            if x == n - 1:
+                break
+        else:
+            return False
+    return True
+
+
+def prime_factors(n):
+    """Returns the prime factorization of n >= 1 as {prime: exponent}.
+
+    Trial division; prime_factors(360) == {2: 3, 3: 2, 5: 1}.
+    """
+    factors = {}
+    p = 2
+    while p * p <= n:
+        while n % p == 0:
+            factors[p] = factors.get(p, 0) + 1
+            n //= p
+        p += 1 if p == 2 else 2
+    if n > 1:
+        factors[n] = factors.get(n, 0) + 1
+    return factors
+
+
+def nth_prime(n):
+    """Returns the n-th prime, counting from nth_prime(1) == 2."""
+    if n < 1:
+        raise ValueError("n must be at least 1")
+    # The n-th prime is below n (ln n + ln ln n) for n >= 6
+    limit = 15 if n < 6 else int(n * (math.log(n) + math.log(math.log(n)))) + 1
+    return sieve(limit)[n - 1]
@@ -0,0 +1,20 @@
+"""Number sequences."""
+
+import math
+
+
+def fibonacci(a=1, b=2):
+    """Yields the Fibonacci numbers a, b, a + b, ... forever; the default start is Project Euler's 1, 2."""
+    while True:
+        yield a
+        a, b = b, a + b
+
+
+def triangle_number(n):
+    """Returns the n-th triangle number 1 + 2 + ... + n."""
+    return n * (n + 1) // 2
+
+
+def is_perfect_square(n):
+    """Tells whether n is the square of an integer."""
+    return n >= 0 and math.isqrt(n) ** 2 == n
@@ -0,0 +1,230 @@
+"""Profile harness for Python solutions.
+
+The IDE sends this file as the program, with the solution base64 encoded
+in place of the SOURCE placeholder and a number of seconds in place of the
+TIME_BUDGET one. The solution runs as __main__ under
+the harness's own file name (the IDE's MAIN_FILE, see Harness.js), with
+its own stdin and arguments, while two profilers watch:
+
+- cProfile for per-function call counts and times
+- a line tracer for per-line hit counts and times in the solution and the
+  workspace's helper modules (time spent in calls made from a line counts
+  towards that line)
+
+After the solution finishes, one line with MARKER and the stats as JSON is
+printed; the IDE removes it from the output. A solution still running when
+the time budget runs out is stopped and the stats so far are printed, with
+"stopped": "time", so that they appear before the backend's time limit kills
+the program. Works with Python 3.8+.
+"""
+
+import base64
+import cProfile
+import json
+import linecache
+import os
+import pstats
+import signal
+import sys
+import time
+import traceback
+
+SOURCE = "{{SOURCE_BASE64}}"
+TIME_BUDGET = float("{{TIME_BUDGET}}")      # Seconds
+MARKER = "__EULER_PROFILE__"
+MAIN_FILE = os.path.basename(__file__)      # The name this harness runs under on the backend
+MAX_FUNCTIONS = 30
+
+
+def code_objects(code):
+    """Returns a code object and every code object nested in it."""
+    found = {code}
+    for const in code.co_consts:
+        if hasattr(const, "co_code"):
+            found |= code_objects(const)
+    return found
+
+
+class OutOfTime(BaseException):
+    """Raised in the solution when the time budget runs out; a BaseException
+    so that the solution's own except Exception clauses do not catch it."""
+
+
+class LineTimer:
+    """Accumulates hits and time per line with sys.settrace, and stops the
+    solution at its deadline."""
+
+    def __init__(self, main_codes, workdir, harness, deadline):
+        self.main_codes = main_codes
+        self.workdir = workdir
+        self.harness = harness
+        self.deadline = deadline    # time.perf_counter() value
+        self.running = False        # Whether running out of time stops the solution
+        self.stats = {}     # (file, line) -> [hits, seconds]
+        self.files = {}     # code filename -> reported file name, or None if not traced
+
+    def file_of(self, code):
+        """Returns the reported file name of a code object, or None to skip it."""
+        if code in self.main_codes:
+            return MAIN_FILE
+        if code.co_filename not in self.files:
+            path = os.path.abspath(code.co_filename)
+            helper = (os.path.isfile(path) and os.path.dirname(path) == self.workdir
+                      and path != self.harness)
+            self.files[code.co_filename] = os.path.basename(path) if helper else None
+        return self.files[code.co_filename]
+
+    def trace(self, frame, event, arg):
+        """Global trace function: starts a line timer for each traced call."""
+        if event != "call":
+            return None
+        name = self.file_of(frame.f_code)
+        if name is None:
+            return None
+        stats = self.stats
+        state = {"line": None, "start": 0.0}
+
+        def local(frame, event, arg):
+            now = time.perf_counter()
+            if now > self.deadline:
+                self.expire()
+            if state["line"] is not None:
+                entry = stats.setdefault((name, state["line"]), [0, 0.0])
+                entry[1] += now - state["start"]
+            if event == "line":
+                stats.setdefault((name, frame.f_lineno), [0, 0.0])[0] += 1
+                state["line"] = frame.f_lineno
+            elif event == "return":
+                state["line"] = None
+            state["start"] = time.perf_counter()
+            return local
+
+        return local
+
+    def expire(self, *_):
+        """Stops the solution, from the line tracer or the SIGALRM handler."""
+        if self.running:
+            self.running = False
+            raise OutOfTime()
+
+
+def start_alarm(timer):
+    """Also stops the solution in long loops outside the traced files, where
+    signals are available (not in Pyodide)."""
+    try:
+        signal.signal(signal.SIGALRM, timer.expire)
+        signal.setitimer(signal.ITIMER_REAL, max(timer.deadline - time.perf_counter(), 0.001))
+    except (AttributeError, ValueError, OSError):
+        pass
+
+
+def stop_alarm():
+    try:
+        signal.setitimer(signal.ITIMER_REAL, 0)
+    except (AttributeError, ValueError, OSError):
+        pass
+
+
+def harness_functions():
+    """Returns the cProfile keys of this harness's own functions."""
+    codes = set()
+    for value in list(globals().values()):
+        for item in [value, *vars(value).values()] if isinstance(value, type) else [value]:
+            if hasattr(item, "__code__"):
+                codes |= code_objects(item.__code__)
+    return {(code.co_filename, code.co_firstlineno, code.co_name) for code in codes}
+
+
+def function_stats(profiler):
+    """Returns the most expensive functions, by own time, leaving out the harness."""
+    skip = harness_functions()
+    rows = []
+    for key, (primitive, calls, own, cumulative, _) in pstats.Stats(profiler).stats.items():
+        path, line, name = key
+        if key in skip or path == "~" and ("builtins.exec" in name or "_lsprof" in name):
+            continue
+        rows.append({
+            "file": "" if path == "~" else os.path.basename(path),
+            "line": line,
+            "name": name,
+            "calls": calls,
+            "primitiveCalls": primitive,
+            "ownTime": round(own, 6),
+            "totalTime": round(cumulative, 6),
+        })
+    rows.sort(key=lambda row: row["ownTime"], reverse=True)
+    return rows[:MAX_FUNCTIONS]
+
+
+def main():
+    source = base64.b64decode(SOURCE).decode("utf-8")
+    workdir = os.getcwd()
+    harness = os.path.abspath(__file__)
+    sys.path.insert(0, workdir)
+    sys.argv = [MAIN_FILE, *sys.argv[1:]]
+    linecache.cache[MAIN_FILE] = (len(source), None, source.splitlines(True), MAIN_FILE)
+
+    try:
+        code = compile(source, MAIN_FILE, "exec")
+    except (SyntaxError, ValueError):
+        # Without the harness frames, which would point into the user's file
+        traceback.print_exception(*sys.exc_info()[:2], None)
+        sys.exit(1)
+    start = time.perf_counter()
+    timer = LineTimer(code_objects(code), workdir, harness, start + TIME_BUDGET)
+    profiler = cProfile.Profile()
+    scope = {"__name__": "__main__", "__file__": MAIN_FILE, "__builtins__": __builtins__}
+    exit_code = 0
+    failure = None
+    stopped = None
+
+    timer.running = True
+    start_alarm(timer)
+    sys.settrace(timer.trace)
+    profiler.enable()
+    try:
+        exec(code, scope)
+    except OutOfTime:
+        stopped = "time"
+    except SystemExit as exit:
+        if exit.code is None or isinstance(exit.code, int):
+            exit_code = exit.code or 0
+        else:
+            failure = exit
+    except BaseException:
+        failure = sys.exc_info()
+    finally:
+        timer.running = False
+        profiler.disable()
+        sys.settrace(None)
+        stop_alarm()
+    elapsed = time.perf_counter() - start
+
+    # Reported after profiling stops, so that formatting it is not measured
+    if isinstance(failure, SystemExit):
+        print(failure.code, file=sys.stderr)
+        exit_code = 1
+    elif failure is not None:
+        error_type, error, tb = failure
+        traceback.print_exception(error_type, error, tb.tb_next)
+        exit_code = 1
+
+    lines = [
+        {"file": file, "line": line, "hits": hits, "time": round(seconds, 6)}
+        for (file, line), (hits, seconds) in timer.stats.items()
+    ]
+    stats = {
+        "version": 1,
+        "totalTime": round(elapsed, 6),
+        "stopped": stopped,
+        "timeBudget": TIME_BUDGET,
+        "lines": sorted(lines, key=lambda entry: (entry["file"], entry["line"])),
+        "functions": function_stats(profiler),
+    }
+    sys.stderr.flush()
+    sys.stdout.write("\n" + MARKER + json.dumps(stats, separators=(",", ":")) + "\n")
+    sys.stdout.flush()
+    sys.exit(exit_code)
+
+
+main()
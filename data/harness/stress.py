@@ -0,0 +1,125 @@
+"""Stress test harness for Python solutions.
+
+The IDE sends this file as the program, with a base64 encoded JSON config
+in place of the CONFIG placeholder:
+
+    {"generator": source, "brute": source, "fast": source,
+     "cases": K, "seed": S, "timeBudget": seconds}
+
+Each source runs as its own module ("generator.py", "brute.py", "fast.py")
+and defines generate(), brute() and fast() respectively. For each case, generate(rng)
+returns the arguments (a tuple, or a single value) with rng a
+random.Random seeded with S; brute(*args) and fast(*args) must then return
+equal values, or raise the same error. The first case where they disagree
+ends the test. So does the time budget, so that the result is printed
+before the backend's time limit kills the program.
+
+The result is printed as one line with MARKER and JSON after anything the
+functions printed; the IDE removes it from the output. Works with Python 3.8+.
+"""
+
+import base64
+import copy
+import json
+import linecache
+import os
+import random
+import sys
+import time
+import traceback
+
+CONFIG = "{{CONFIG_BASE64}}"
+MARKER = "__EULER_STRESS__"
+HARNESS_FILE = os.path.basename(__file__)     # The name this harness runs under on the backend
+MAX_REPR = 1000
+
+
+class SetupError(Exception):
+    """A module failed to load or does not define its function."""
+
+
+def load(name, source, function_name):
+    """Runs a module's source and returns the function it must define."""
+    filename = name + ".py"
+    linecache.cache[filename] = (len(source), None, source.splitlines(True), filename)
+    scope = {"__name__": name, "__file__": filename}
+    try:
+        exec(compile(source, filename, "exec"), scope)
+    except BaseException as error:
+        raise SetupError(describe_error(error)) from error
+    function = scope.get(function_name)
+    if not callable(function):
+        raise SetupError("{} does not define {}()".format(filename, function_name))
+    return function
+
+
+def describe_error(error):
+    """Formats an exception with the traceback of the user's code only."""
+    frames = traceback.extract_tb(error.__traceback__)
+    frames = [frame for frame in frames if os.path.basename(frame.filename) != HARNESS_FILE]
+    lines = traceback.format_list(frames) + traceback.format_exception_only(type(error), error)
+    return "Traceback (most recent call last):\n" + "".join(lines).rstrip()
+
+
+def clip(text):
+    """Shortens a long repr."""
+    return text if len(text) <= MAX_REPR else text[:MAX_REPR - 1] + "…"
+
+
+def call(function, args):
+    """Calls a function, returning its outcome as {"value": repr} or {"error": text}."""
+    try:
+        return {"value": clip(repr(function(*copy.deepcopy(args))))}
+    except Exception as error:
+        return {"error": clip("{}: {}".format(type(error).__name__, error))}
+
+
+def stress(config):
+    generate = load("generator", config["generator"], "generate")
+    brute = load("brute", config["brute"], "brute")
+    fast = load("fast", config["fast"], "fast")
+
+    rng = random.Random(config["seed"])
+    result = {"checked": 0, "stopped": None, "mismatch": None}
+    start = time.perf_counter()
+    for case in range(1, config["cases"] + 1):
+        if time.perf_counter() - start > config["timeBudget"]:
+            result["stopped"] = "time"
+            break
+        try:
+            args = generate(rng)
+        except Exception as error:
+            raise SetupError("generate() failed on case {}:\n{}".format(case, describe_error(error)))
+        if not isinstance(args, tuple):
+            args = (args,)
+        expected = call(brute, args)
+        actual = call(fast, args)
+        if expected != actual:
+            result["mismatch"] = {
+                "case": case,
+                "args": [clip(repr(arg)) for arg in args],
+                "brute": expected,
+                "fast": actual,
+            }
+            break
+        result["checked"] = case
+    result["elapsed"] = round(time.perf_counter() - start, 3)
+    return result
+
+
+def main():
+    config = json.loads(base64.b64decode(CONFIG).decode("utf-8"))
+    sys.path.insert(0, os.getcwd())
+
+    result = {"version": 1, "seed": config["seed"], "cases": config["cases"]}
+    try:
+        result.update(stress(config))
+    except SetupError as error:
+        result["error"] = str(error)
+
+    sys.stdout.flush()
+    sys.stdout.write("\n" + MARKER + json.dumps(result, separators=(",", ":")) + "\n")
+    sys.stdout.flush()
+
+
+main()
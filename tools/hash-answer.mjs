@@ -0,0 +1,100 @@
+/**
+ * Answer Hash Authoring Helper
+ *
+ * Produces the salted `answerHash` stored in problem files from a plaintext
+ * answer. The answer is canonicalized for its answer type first, exactly as
+ * the IDE canonicalizes program output. Run with Node 20 or newer from the
+ * repository root:
+ *
+ *   node tools/hash-answer.mjs 233168
+ *   node tools/hash-answer.mjs 0.12345678 --type decimal --precision 8
+ *   node tools/hash-answer.mjs "$(sqlite3 -header -csv data/db.sqlite < query.sql)" --type resultset --ordered true
+ *   node tools/hash-answer.mjs 233168 --write data/problems/problem1.json
+ *
+ * Without --write the answer fields are printed as JSON. With --write the
+ * given problem file is updated in place: its answer fields are replaced, any
+ * plaintext answer is removed and schemaVersion is set to the current version.
+ * When --type is omitted with --write, the file's own answerType is used.
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { createAnswerHash } from "../core/crypto/AnswerHash.js";
+import { ANSWER_TYPES, canonicalizeAnswer, describeAnswerFormat } from "../core/answers/AnswerFormat.js";
+import { SCHEMA_VERSION } from "../components/catalog/ProblemSchema.js";
+
+const USAGE = `Usage: node tools/hash-answer.mjs <answer> [--type ${ANSWER_TYPES.join("|")}] [--precision <places>] [--ordered true|false] [--write <problem.json>]`;
+
+/**
+ * Parses the command line into the answer and its options
+ * @param {Array<string>} args - The command line arguments
+ * @returns {{answer: string, options: Object}} The parsed arguments
+ */
+function parseArgs(args) {
+    const options = {};
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith("--")) {
+            if (i + 1 >= args.length) {
+                fail(`Missing value for ${args[i]}`);
+            }
+            options[args[i].slice(2)] = args[++i];
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    if (positional.length !== 1) {
+        fail(USAGE);
+    }
+    return { answer: positional[0], options };
+}
+
+/**
+ * Prints a message and exits with a failure status
+ * @param {string} message - The message
+ */
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+const { answer, options } = parseArgs(process.argv.slice(2));
+const problem = options.write ? JSON.parse(await readFile(options.write, "utf8")) : {};
+
+const format = {};
+const answerType = options.type ?? problem.answerType;
+if (answerType !== undefined) {
+    if (!ANSWER_TYPES.includes(answerType)) {
+        fail(`Unknown answer type "${answerType}". ${USAGE}`);
+    }
+    format.answerType = answerType;
+}
+const precision = options.precision ?? problem.precision;
+if (precision !== undefined) {
+    format.precision = parseInt(precision);
+}
+const ordered = options.ordered ?? problem.ordered;
+if (ordered !== undefined) {
+    if (![true, false, "true", "false"].includes(ordered)) {
+        fail(`--ordered must be true or false. ${USAGE}`);
+    }
+    format.ordered = ordered === true || ordered === "true";
+}
+if (format.answerType === "decimal" && !Number.isInteger(format.precision)) {
+    fail("Decimal answers need --precision <places>");
+}
+
+const canonical = canonicalizeAnswer(answer, format);
+if (canonical === null) {
+    fail(`"${answer}" is not a valid ${describeAnswerFormat(format)} answer`);
+}
+const fields = { ...format, answerHash: await createAnswerHash(canonical) };
+
+if (!options.write) {
+    console.log(`Canonical answer: ${canonical}`);
+    console.log(JSON.stringify(fields, null, 4));
+} else {
+    delete problem.answer;
+    const updated = { ...problem, schemaVersion: SCHEMA_VERSION, ...fields };
+    await writeFile(options.write, JSON.stringify(updated, null, 4) + "\n");
+    console.log(`Updated ${options.write} (canonical answer: ${canonical})`);
+}